@@ -66,11 +66,38 @@ class Component {
      * @name Component#renderer
      * @type Function
      * @callback
-     * @return {String} HTML content. It <strong>must</strong> return a single root element.
+     * @return {String} HTML content. If it has several root nodes (a fragment),
+     *         they are rendered in place of the HTML element, delimited by
+     *         two marker comments.
      * @default null
      */
     this.renderer = renderer;
 
+    /**
+     * The fallback renderer function, rendered instead of the
+     * {@link Component#renderer|renderer} when a render of this Component or
+     * its descendants fails. Components with a fallback renderer are
+     * <em>error boundaries</em>: the error is passed to their
+     * {@link Component#onError|onError()} hook, and their children are
+     * discarded. The fallback is rendered without calling the
+     * {@link Component#beforeRender|beforeRender()} and
+     * {@link Component#afterRender|afterRender()} hooks. The next render uses
+     * the regular renderer again, so this Component can recover.
+     *
+     * @example
+     * component.fallbackRenderer = (error) => '<div class="error">' + error.message + '</div>';
+     *
+     * @name Component#fallbackRenderer
+     * @type Function
+     * @callback
+     * @param {Object} error The error thrown.
+     * @param {Object} info Where the error was thrown (see
+     *        {@link Component#onError|onError()}).
+     * @return {String} HTML content, with one or several root nodes.
+     * @default null
+     */
+    this.fallbackRenderer = null;
+
     /**
      * The HTML element id where it renders into.
      * @name Component#htmlNodeId
@@ -134,6 +161,9 @@ class Component {
 
     /////// "private" members
 
+    // The Component this Component is a child of, if any
+    this._parentComponent = null;
+
     // The global event listener placed on the root element of this Component
     this._boundEventsListener = this._eventsListener.bind(this);
 
@@ -157,6 +187,30 @@ class Component {
     // accumulation of multiple parsing requests and call "innerHTML = ..." once,
     // instead of multiple times, which is faster.
     this._parsingService = Component._defaultParsingService;
+
+    // The step of the current render: 'beforeRender', 'render',
+    // 'createChildren' or 'afterRender'
+    this._renderPhase = null;
+
+    // The failure being rendered with the fallback renderer, if any
+    this._failure = null;
+
+    // The failure of a child rethrowing its error to this component, since
+    // this component is rendering it (see _renderFailed())
+    this._childFailure = null;
+
+    // The range of the nodes rendered, if the renderer returned several root
+    // nodes (a fragment)
+    this._fragment = null;
+
+    // The element of the parent's virtual DOM where this Component was
+    // created, whose child nodes are projected into the slot outlets of this
+    // Component, if it renders any (see _projectSlots())
+    this._slotContent = null;
+
+    // The projected nodes with no slot outlet to be placed in, which are not
+    // shown
+    this._unslottedNodes = document.createDocumentFragment();
   }
 
 
@@ -187,6 +241,21 @@ class Component {
     this._resetVirtualDOM();
   }
 
+  /**
+   * Whether this Component is started and has been rendered, but its HTML
+   * element is no longer in the document (e.g.: an ancestor element was
+   * removed without stopping this Component).
+   *
+   * @return {Boolean} true if this Component is detached from the document.
+   */
+  isDetached() {
+    if (this.stopped || this._previousVirtualDOM === null) {
+      return false;
+    }
+    return this._fragment !== null ? !this._fragment.isConnected() :
+      !document.contains(this._getPreviousRealRootNode());
+  }
+
   //// children management
 
   /**
@@ -203,6 +272,7 @@ class Component {
   addChildComponent(component) {
     this.childComponents.push(component);
     this.childComponentIds[component.getHtmlNodeId()] = component;
+    component._parentComponent = this;
 
     if (this.stopped) {
       component.stop();
@@ -235,6 +305,14 @@ class Component {
    * <p>Everytime a new element indicating that a child should be created, this
    * method is called to create the real instance.</p>
    *
+   * <p>The contents of the element are projected into the slot outlets of the
+   * child: the <code>&lt;fronty-slot&gt;</code> elements rendered by the
+   * child whose <code>name</code> attribute matches their
+   * <code>fronty-slot</code> attribute or, if they have no such attribute, the
+   * <code>&lt;fronty-slot&gt;</code> element with no name. These contents
+   * are still rendered by <em>this</em> Component. If the child renders no
+   * slot outlets, they are replaced by the child, as usual.</p>
+   *
    * <p><b>Note:</b> By default, this function uses <code>eval(''+className)</code>
    * to create the instance. If you are packing your application and this library
    * in different modules, eval may fail in finding the className. You must
@@ -268,6 +346,7 @@ class Component {
       this.childComponents[index].stop();
       this.childComponents.splice(index, 1);
       delete this.childComponentIds[component.getHtmlNodeId()];
+      component._parentComponent = null;
     }
     this.render();
   }
@@ -301,6 +380,74 @@ class Component {
   }
 
   //// rendering
+  /**
+   * Schedules a render of this Component.<br>
+   *
+   * By default, this Component renders immediately. In the microtask and
+   * animation frame render modes (see {@link Component.setRenderMode}),
+   * scheduled renders are batched instead: each Component renders at most
+   * once per batch, and parents render before their children.
+   *
+   * <p>{@link ModelComponent|ModelComponents} schedule a render when their
+   * models change.</p>
+   */
+  scheduleRender() {
+    Component._renderScheduler.schedule(this);
+  }
+
+  /**
+   * Whether this Component has a scheduled render pending.
+   *
+   * @return {Boolean} true if a render of this Component is scheduled.
+   */
+  isRenderScheduled() {
+    return Component._renderScheduler.isScheduled(this);
+  }
+
+  /**
+   * Sets when scheduled renders (see {@link Component#scheduleRender}) are
+   * done.
+   *
+   * <p>Errors of batched renders are reported to the error handler (see
+   * {@link Model.onError}).</p>
+   *
+   * @param {String} mode {@link Component.RENDER_SYNC} (the default),
+   *        {@link Component.RENDER_MICROTASK} or
+   *        {@link Component.RENDER_ANIMATION_FRAME}. Pending renders are done
+   *        when switching to synchronous mode.
+   */
+  static setRenderMode(mode) {
+    Component._renderScheduler.setMode(mode);
+  }
+
+  /**
+   * Renders the Components with a scheduled render immediately, including
+   * the renders they schedule in turn.
+   *
+   * @return {Promise} A resolved Promise, for convenience in asynchronous
+   *         tests.
+   */
+  static flush() {
+    Component._renderScheduler.flush();
+    return Promise.resolve();
+  }
+
+  /**
+   * Returns a Promise resolved once the scheduled renders are done (or
+   * immediately, if there are none).
+   *
+   * @example
+   * model.set(() => model.counter++);
+   * Fronty.nextRender().then(() => {
+   *   // the components observing the model have been rendered
+   * });
+   *
+   * @return {Promise} The Promise.
+   */
+  static nextRender() {
+    return Component._renderScheduler.nextRender();
+  }
+
   /**
    * Render this Component, which consists in:
    * <ol>
@@ -325,6 +472,9 @@ class Component {
       return;
     }
 
+    // a pending scheduled render is no longer needed
+    Component._renderScheduler.rendered(this);
+
     if (this.stopped || !this.htmlNodeId || this._getComponentNode() === null) {
       // if the component is stopped, there is no id to render o the document
       // do not contains the id to render to
@@ -332,102 +482,142 @@ class Component {
     }
 
     this.rendering = true;
+    this._renderPhase = 'beforeRender';
+    this._childFailure = null;
 
-    this.beforeRender(); //hook
+    // the hooks are skipped when rendering the fallback, since they may fail again
+    let hooks = this._failure === null;
 
-    let firstRender = this._previousVirtualDOM === null;
-
-    if (firstRender) {
-      // first render, the currentTree to compare against is the actual DOM element
-      // where we will render
-      let currentTree = this._getComponentNode();
-      // clean the destiny node
-      while (currentTree.firstChild) {
-        currentTree.removeChild(currentTree.firstChild);
+    this._guardRender(() => {
+      if (hooks) {
+        this.beforeRender(); //hook
       }
 
-      this.buildFirstRenderTree((newTree) => {
+      this._renderPhase = 'render';
 
-        this._previousVirtualDOM = document.createElement('div');
-        this._previousVirtualDOM.appendChild(newTree);
+      let firstRender = this._previousVirtualDOM === null;
 
-        var clonedTree = this._cloneAndIndex(newTree);
-        currentTree.parentNode.replaceChild(clonedTree, currentTree);
+      if (firstRender) {
+        // first render, the currentTree to compare against is the actual DOM element
+        // where we will render (or the range of a previous fragment)
+        let currentTree = this._getComponentNode();
 
+        this.buildFirstRenderTree((newTree) => this._guardRender(() => {
+          // clean the destiny node, unless its contents are projected into
+          // the slot outlets of this component
+          let projected = this._slotContent !== null && Component._hasSlotOutlets(newTree);
+          while (!projected && currentTree.nodeType === Node.ELEMENT_NODE && currentTree.firstChild) {
+            currentTree.removeChild(currentTree.firstChild);
+          }
 
-        // put the global event listener on the root of this component
-        this._updateEventListeners();
+          this._previousVirtualDOM = document.createElement('div');
+          this._previousVirtualDOM.appendChild(newTree);
 
-        // create all children that may have appeared in the form of
-        // custom tag HTML elements, or elements with the "fronty-component"
-        // attribute.
-        this._createChildComponents();
+          var clonedTree = this._cloneAndIndex(newTree);
+          TreeComparator._replaceNode(currentTree, clonedTree);
 
-        this.afterRender(); //hook
 
-        this.rendering = false;
-      });
-    } else {
-      // re-render. Restore the previous tree
-      let currentTree = this._previousVirtualDOM.firstChild;
+          // put the global event listener on the root of this component
+          this._updateRoot();
 
-      this.computePatches(currentTree, (patches) => {
+          this._projectSlots();
 
-        // Apply patches for the previous DOM
-        TreeComparator.applyPatches(patches);
+          // create all children that may have appeared in the form of
+          // custom tag HTML elements, or elements with the "fronty-component"
+          // attribute.
+          this._renderPhase = 'createChildren';
+          this._createChildComponents();
 
+          this._updateBindings();
 
-        // Apply patches to the REAL DOM
+          this._renderPhase = 'afterRender';
+          if (hooks) {
+            this.afterRender(); //hook
+          }
 
-        TreeComparator.applyPatches(patches, (patch) => {
+          this.rendering = false;
+        }));
+      } else {
+        // re-render. Restore the previous tree
+        let currentTree = this._previousVirtualDOM.firstChild;
 
-          // for the real DOM, we will not patch nodes that are currently rendered by child nodes
-          if (patch.toReplace.id && patch.replacement !== undefined && patch.replacement.id &&
-            patch.toReplace.id === patch.replacement.id && (this.childComponentIds[patch.toReplace.id] !== undefined)) {
-            return null;
-          }
-          // However, the patches contains nodes from the "virtual" DOM trees, not
-          // of the real DOM. We need no get the real nodes.
-          // Moreover, we will clone the nodes being inserted in the real DOM because
-          // we will reuse these patches to also patch our current virtual DOM so nodes
-          // cannot have two parents!
-          // To do these, we can use the patchMapping parameter of TreeComparator.applyPatches(),
-          // which allows us to change each being applied by another patch.
-
-          // toReplace will be the real DOM node. In our virtual DOM, each node
-          // has a reference to the real DOM node (see the next few lines).
-          patch.toReplace = this._resolveRealNode(patch.toReplace);
-
-          if (patch.mode === TreeComparator.PATCH_INSERT_NODE ||
-            patch.mode === TreeComparator.PATCH_APPEND_CHILD ||
-            patch.mode === TreeComparator.PATCH_REPLACE_NODE) {
-
-            // If we will insert new nodes, we will clone them as well as
-            // to add a reference from the cloned nodes (which will remain in our
-            // virtual DOM) to the corresponding clones (which will be inserted in the real DOM)
-            patch.replacement = this._cloneAndIndex(patch.replacement);
-
-          } else if (patch.mode === TreeComparator.PATCH_SWAP_NODES) {
-            // in swap-nodes mode, both are nodes to be found in the real DOM,
-            // so we search for the replacement in the real DOM
-            patch.replacement = this._resolveRealNode(patch.replacement);
-          }
+        this.computePatches(currentTree, (patches) => this._guardRender(() => {
 
-          return patch;
-        });
-        // restore child component subtrees
-        this._restoreChildNodes();
+          // Apply patches for the previous DOM
+          TreeComparator.applyPatches(patches);
 
-        // create all children that may have appeared in the form of
-        // custom tag HTML elements, or elements with the "fronty-component"
-        // attribute.
-        this._createChildComponents();
 
-        this.afterRender(); //hook
+          // Apply patches to the REAL DOM
 
-        this.rendering = false;
-      });
-    }
+          TreeComparator.applyPatches(patches, (patch) => {
+
+            // for the real DOM, we will not patch nodes that are currently rendered by child nodes
+            if (patch.toReplace.id && patch.replacement !== undefined && patch.replacement.id &&
+              patch.toReplace.id === patch.replacement.id && (this.childComponentIds[patch.toReplace.id] !== undefined)) {
+              return null;
+            }
+            // nodes inserted in the elements of child nodes are placed by the
+            // children in their slot outlets (see _projectSlots())
+            if ((patch.mode === TreeComparator.PATCH_INSERT_NODE || patch.mode === TreeComparator.PATCH_APPEND_CHILD) &&
+              patch.toReplace.id && this.childComponentIds[patch.toReplace.id] !== undefined) {
+              this._cloneAndIndex(patch.replacement);
+              return null;
+            }
+            // However, the patches contains nodes from the "virtual" DOM trees, not
+            // of the real DOM. We need no get the real nodes.
+            // Moreover, we will clone the nodes being inserted in the real DOM because
+            // we will reuse these patches to also patch our current virtual DOM so nodes
+            // cannot have two parents!
+            // To do these, we can use the patchMapping parameter of TreeComparator.applyPatches(),
+            // which allows us to change each being applied by another patch.
+
+            // toReplace will be the real DOM node. In our virtual DOM, each node
+            // has a reference to the real DOM node (see the next few lines).
+            patch.toReplace = this._resolveRealNode(patch.toReplace);
+
+            if (patch.mode === TreeComparator.PATCH_INSERT_NODE ||
+              patch.mode === TreeComparator.PATCH_APPEND_CHILD ||
+              patch.mode === TreeComparator.PATCH_REPLACE_NODE) {
+
+              // If we will insert new nodes, we will clone them as well as
+              // to add a reference from the cloned nodes (which will remain in our
+              // virtual DOM) to the corresponding clones (which will be inserted in the real DOM)
+              patch.replacement = this._cloneAndIndex(patch.replacement);
+
+            } else if (patch.mode === TreeComparator.PATCH_SWAP_NODES) {
+              // in swap-nodes mode, both are nodes to be found in the real DOM,
+              // so we search for the replacement in the real DOM
+              patch.replacement = this._resolveRealNode(patch.replacement);
+            }
+
+            return patch;
+          });
+          // restore child component subtrees
+          this._restoreChildNodes();
+
+          // the root may have been replaced
+          this._updateRoot();
+
+          // the slot outlets may have been replaced
+          this._projectSlots();
+
+          // create all children that may have appeared in the form of
+          // custom tag HTML elements, or elements with the "fronty-component"
+          // attribute.
+          this._renderPhase = 'createChildren';
+          this._createChildComponents();
+
+          this._updateBindings();
+
+          this._renderPhase = 'afterRender';
+          if (hooks) {
+            this.afterRender(); //hook
+          }
+
+          this.rendering = false;
+        }));
+      }
+    });
   }
 
   buildFirstRenderTree(callback) {
@@ -435,7 +625,7 @@ class Component {
       // copy id attribute to the root element of this component.
       // the component does not need to specify any id in its rendering function
       // root element
-      if (newTree.nodeType === Node.ELEMENT_NODE) {
+      if (newTree.nodeType === Node.ELEMENT_NODE && !Component._isFragment(newTree)) {
         newTree.setAttribute('id', this.getHtmlNodeId());
       }
       callback(newTree);
@@ -450,14 +640,22 @@ class Component {
       // copy id attribute to the root element of this component.
       // the component does not need to specify any id in its rendering function
       // root element
-      if (newTree.nodeType === Node.ELEMENT_NODE) {
+      if (newTree.nodeType === Node.ELEMENT_NODE && !Component._isFragment(newTree)) {
         newTree.setAttribute('id', this.getHtmlNodeId());
       }
 
       var patches = TreeComparator.diff(currentTree, newTree, (node1, node2) => {
 
         // Child component nodes should only be compared at attribute level in the parent component
+        // (and at children level, if their contents are projected into the
+        // slot outlets of the child)
         if (node1.id && node2.id && node1.id === node2.id && (this.childComponentIds[node1.id] !== undefined)) {
+          return this.childComponentIds[node1.id]._projectsSlots() ?
+            TreeComparator.COMPARE_POLICY_DIFF : TreeComparator.COMPARE_POLICY_ATTRIBUTES;
+        }
+
+        if (Component._isSlotOutlet(node1) && Component._isSlotOutlet(node2)) {
+          // the contents of slot outlets are projected by the parent
           return TreeComparator.COMPARE_POLICY_ATTRIBUTES;
         }
 
@@ -536,10 +734,10 @@ class Component {
       eventType: eventType
     });
 
-    var rootNode = this._getComponentNode();
+    var rootNode = this._getEventsNode();
     if (rootNode !== null) {
-      this._getComponentNode().removeEventListener(eventType, this._boundEventsListener);
-      this._getComponentNode().addEventListener(eventType, this._boundEventsListener);
+      rootNode.removeEventListener(eventType, this._boundEventsListener);
+      rootNode.addEventListener(eventType, this._boundEventsListener);
     }
   }
 
@@ -573,49 +771,51 @@ class Component {
   onStop() { //hook
   }
 
+  /**
+   * Hook function called when a render of this Component or its descendants
+   * fails, if this Component has a {@link Component#fallbackRenderer|fallback
+   * renderer}, before rendering it. As a hook, it is intended to be overriden
+   * by subclasses.
+   *
+   * @param {Object} error The error thrown.
+   * @param {Object} info Where the error was thrown:
+   *        <code>{component: Component, phase: String}</code>, where
+   *        <code>component</code> is the failed Component (this Component or a
+   *        descendant) and <code>phase</code> the failed step of its render:
+   *        <code>'beforeRender'</code>, <code>'render'</code> (the renderer
+   *        function), <code>'createChildren'</code> or
+   *        <code>'afterRender'</code>.
+   */
+  onError(error, info) { //hook
+  }
+
   // "private" methods
 
   /*
    * Creates a new DOM tree from the renderer output. If the renderer output
    * is a string, we will get the dom by using the this._parsingService.
-   * If it is a DOM tree, we do not anything.
+   * If it is a DOM tree, we do not anything. Another renderer function can be
+   * given instead of this.renderer. Several root nodes are returned inside a
+   * fragment element (see Component._createRoot()).
+   * The HTML is parsed as the contents of the given parent node (by default,
+   * the parent of this component), so SVG and MathML elements get their
+   * namespace.
    */
-  renderNewDOM(callback) {
+  renderNewDOM(callback, renderer, parent) {
 
     // call the render function
-    var htmlContents = this.renderer();
+    var htmlContents = renderer ? renderer() :
+      this._failure !== null ? this.fallbackRenderer(this._failure.error, this._failure.info) :
+      this.renderer();
 
 
     if (typeof htmlContents === 'string') {
-      // We need to parse
-
-      htmlContents = htmlContents.trim();
-      var correctedHtmlContents = htmlContents;
-      // construct the new tree given by the render function
-      // fix: for roots starting with TR, TD or TH, they cannot be direct
-      // childs of div, they must be inside of a table to parse them with
-      // innerHTML
-      if (htmlContents.match(/^<tr .*/i) !== null) {
-        // trees starting with TR
-        correctedHtmlContents = '<table><tbody>' + htmlContents + '</tbody></table>';
-      } else if (htmlContents.match(/^<t[dh] .*/i) !== null) {
-        // trees starting with TD or TH
-        correctedHtmlContents = '<table><tbody><tr>' + htmlContents + '</tr></tbody></table>';
-      }
-
-      let newTree = document.createElement('div');
-
-      this._parsingService.parse(correctedHtmlContents, (node) => {
-        if (htmlContents.match(/^<tr .*/i) !== null) {
-          newTree.appendChild(node.firstChild.firstChild);
-        } else if (htmlContents.match(/^<t[dh] .*/i) !== null) {
-          newTree.appendChild(node.firstChild.firstChild.firstChild);
-        } else {
-          newTree.appendChild(node);
-        }
-
-        callback(newTree.firstChild);
-      });
+      // We need to parse. The parsing services parse inside template elements,
+      // so any element can be the root (e.g.: <tr>, <option> or <li>)
+      let namespace = Component._contentNamespace(parent !== undefined ? parent : this._getRenderParent());
+      this._parsingService.parse(htmlContents.trim(), callback, namespace);
+    } else if (htmlContents.nodeType === Node.DOCUMENT_FRAGMENT_NODE) {
+      callback(Component._createRoot(htmlContents.childNodes));
     } else {
 
       // assume htmlContents is a real DOM
@@ -664,14 +864,76 @@ class Component {
         if (childComponent._getPreviousRealRootNode() !== null &&
             childComponent._getPreviousRealRootNode() !== currentComponentNode) {
 
-          currentComponentNode.parentNode.replaceChild(
-            childComponent._getPreviousRealRootNode(),
-            currentComponentNode);
+          TreeComparator._replaceNode(
+            currentComponentNode,
+            childComponent._getPreviousRealRootNode());
         }
       }
     }
   }
 
+  /*
+   * Places the child nodes of the element where this component was created
+   * (the contents given by the parent) in the slot outlets rendered by this
+   * component: the <fronty-slot> element with the same name as their
+   * fronty-slot attribute or, if they have not this attribute, the
+   * <fronty-slot> element with no name. The nodes remain in the virtual DOM
+   * of the parent, which keeps patching them.
+   */
+  _projectSlots() {
+    if (this._parentComponent === null || !this._projectsSlots()) {
+      return;
+    }
+    let outlets = {};
+    Array.prototype.forEach.call(this._previousVirtualDOM.querySelectorAll('fronty-slot'), (outlet) => {
+      let name = outlet.getAttribute('name') || '';
+      if (outlets[name] === undefined && outlet.realNode) {
+        outlets[name] = outlet.realNode;
+      }
+    });
+
+    let slotted = {};
+    Array.prototype.forEach.call(this._slotContent.childNodes, (node) => {
+      let name = (node.nodeType === Node.ELEMENT_NODE && node.getAttribute('fronty-slot')) || '';
+      let realNode = this._parentComponent._resolveRealNode(node);
+      if (realNode === null || realNode === undefined) {
+        return;
+      }
+      if (outlets[name] === undefined) {
+        TreeComparator._insertBefore(this._unslottedNodes, realNode, null);
+      } else {
+        (slotted[name] = slotted[name] || []).push(realNode);
+      }
+    });
+
+    Object.keys(outlets).forEach((name) => {
+      let outlet = outlets[name];
+      let nodes = slotted[name] || [];
+      let current = Array.prototype.slice.call(TreeComparator._childNodes(outlet));
+      if (current.length === nodes.length && current.every((node, i) => node === nodes[i])) {
+        return;
+      }
+      current.filter((node) => nodes.indexOf(node) === -1).forEach((node) => TreeComparator._removeNode(node));
+      nodes.forEach((node) => TreeComparator._insertBefore(outlet, node, null));
+    });
+  }
+
+  // whether this component was given contents and its last render has slot
+  // outlets to place them
+  _projectsSlots() {
+    return this._slotContent !== null && this._previousVirtualDOM !== null &&
+      Component._hasSlotOutlets(this._previousVirtualDOM);
+  }
+
+  static _isSlotOutlet(node) {
+    return node !== null && node.localName === 'fronty-slot';
+  }
+
+  static _hasSlotOutlets(tree) {
+    return Component._isSlotOutlet(tree) ||
+      (typeof tree.querySelector === 'function' && tree.querySelector('fronty-slot') !== null);
+  }
+
   /*
    * Gets the root node in the real dom where this component previously rendered.
    *
@@ -680,10 +942,74 @@ class Component {
     return this._previousVirtualDOM !== null? this._previousVirtualDOM.firstChild.realNode: null;
   }
 
+  // the element where this component is rendered or, if it rendered a
+  // fragment, the range of its nodes
   _getComponentNode() {
+    if (this._fragment !== null && this._fragment.isConnected()) {
+      return this._fragment;
+    }
     return document.getElementById(this.getHtmlNodeId());
   }
 
+  // returns the only node of the given ones or, if there are several, a
+  // fragment element containing them. Fragments are rendered as a range of
+  // root nodes, delimited by marker comments (see TreeComparator.NodeRange)
+  static _createRoot(nodes) {
+    if (nodes.length === 1) {
+      return nodes[0];
+    }
+    let fragment = document.createElement('fronty-fragment');
+    fragment.isFragment = true;
+    Array.prototype.slice.call(nodes).forEach((node) => fragment.appendChild(node));
+    return fragment;
+  }
+
+  static _isFragment(node) {
+    return node.isFragment === true;
+  }
+
+  // the node where the nodes rendered by this component are placed: the
+  // parent of its element, or the range of its fragment
+  _getRenderParent() {
+    let node = this._getComponentNode();
+    if (node === null || node instanceof TreeComparator.NodeRange) {
+      return node;
+    }
+    return node.parentNode;
+  }
+
+  // the namespace of the elements placed in the given node (or range): the SVG
+  // or MathML namespace, or null for HTML
+  static _contentNamespace(parent) {
+    if (parent instanceof TreeComparator.NodeRange) {
+      parent = parent.start.parentNode;
+    }
+    if (parent === null || parent === undefined || parent.nodeType !== Node.ELEMENT_NODE ||
+      parent.localName === 'foreignObject') {
+      return null;
+    }
+    if (parent.namespaceURI === Component.SVG_NAMESPACE ||
+      parent.namespaceURI === Component.MATHML_NAMESPACE) {
+      return parent.namespaceURI;
+    }
+    return null;
+  }
+
+  // the element where the event listeners of this component are placed: its
+  // root element or, for fragments, their parent
+  _getEventsNode() {
+    let node = this._getComponentNode();
+    return node instanceof TreeComparator.NodeRange ? node.start.parentNode : node;
+  }
+
+  // after each render, updates the fragment of this component and its
+  // event listeners, since the root may have changed
+  _updateRoot() {
+    let root = this._getPreviousRealRootNode();
+    this._fragment = root instanceof TreeComparator.NodeRange ? root : null;
+    this._updateEventListeners();
+  }
+
   _getChildNode(childId) {
     return document.getElementById(childId);
   }
@@ -694,6 +1020,15 @@ class Component {
    * index.
    */
   _cloneAndIndex(root) {
+    if (Component._isFragment(root)) {
+      // the real root of fragments is a range
+      let range = new TreeComparator.NodeRange(this.getHtmlNodeId());
+      root.realNode = range;
+      for (let i = 0; i < root.childNodes.length; i++) {
+        range.appendChild(this._cloneAndIndex(root.childNodes[i]));
+      }
+      return range;
+    }
     let clone = root.cloneNode();
     root.realNode = clone;
     if (root.nodeType === Node.ELEMENT_NODE) {
@@ -723,6 +1058,17 @@ class Component {
    */
   _createChildComponents() {
 
+    // place the contents of the elements of existing children in their slot
+    // outlets, so the child elements they contain can be found
+    this._nodesWithCustomTag.concat(this._nodesWithFrontyComponentAttribute).forEach((node) => {
+      let childComponent = this.getChildComponent(node.getAttribute('id'));
+      if (childComponent !== undefined && childComponent._slotContent !== null &&
+        this._previousVirtualDOM.contains(node)) {
+        childComponent._slotContent = node;
+        childComponent._projectSlots();
+      }
+    });
+
     // create childs by tag
     this._createDynamicChildComponents(this._nodesWithCustomTag);
 
@@ -743,8 +1089,11 @@ class Component {
       var node = nodes[j];
       var nodeId = node.getAttribute('id');
       var className = node.componentClass;
+      var existingChild = this.getChildComponent(nodeId);
 
-      if (document.getElementById(nodeId) !== null) {
+      // the child may be rendered as a fragment, without an element with its id
+      if (document.getElementById(nodeId) !== null ||
+        (existingChild !== undefined && existingChild._getComponentNode() !== null)) {
         this._createOrUpdateChildComponent(className, node, nodeId, bufferedParsingService);
       } else {
         nodes.splice(j, 1);
@@ -783,6 +1132,7 @@ class Component {
     let component = this.createChildComponent(className, element, id);
     if (component) {
       component.setHtmlNodeId(id);
+      component._slotContent = element;
       let prevParsingService = component._parsingService;
       component._parsingService = parsingService;
       this.addChildComponent(component);
@@ -798,6 +1148,10 @@ class Component {
   // indicated in {@link Component#addEventListener}, the
   // event is redirected to the provided callback function.
   _eventsListener(event) {
+    if (this._fragment !== null && !this._fragment.contains(event.target)) {
+      // the listener of fragments is placed on their parent
+      return;
+    }
     for (let i = 0; i < this.eventListeners.length; i++) {
       let listener = this.eventListeners[i];
       if (
@@ -813,9 +1167,95 @@ class Component {
     }
   }
 
+  //// error boundaries "private" methods
+
+  // runs a step of a render, handling its failure
+  _guardRender(step) {
+    try {
+      step();
+    } catch (error) {
+      if (this.rendering !== true) {
+        // already handled by an inner step
+        throw error;
+      }
+      this._renderFailed(error);
+    }
+  }
+
+  // resets the render state, and renders the fallback of the closest error
+  // boundary, or rethrows the error if there is none
+  _renderFailed(error) {
+    // errors rethrown by children keep the component where they were thrown
+    let failure = this._childFailure;
+    this._childFailure = null;
+    if (failure === null || failure.error !== error) {
+      failure = {
+        error: error,
+        info: {
+          component: this,
+          phase: this._renderPhase
+        }
+      };
+    }
+    this.rendering = false;
+    this._renderPhase = null;
+
+    if (this.fallbackRenderer !== null && this._failure === null) {
+      this._renderFallback(failure);
+      return;
+    }
+    let boundary = null;
+    for (let parent = this._parentComponent; parent !== null; parent = parent._parentComponent) {
+      if (parent.rendering === true) {
+        // the parent is rendering this component, so it receives the error
+        parent._childFailure = failure;
+        throw error;
+      }
+      if (boundary === null && parent.fallbackRenderer !== null && parent._failure === null) {
+        boundary = parent;
+      }
+    }
+    if (boundary === null) {
+      throw error;
+    }
+    boundary._renderFallback(failure);
+  }
+
+  // renders the fallback renderer (without the beforeRender() and afterRender()
+  // hooks)
+  _renderFallback(failure) {
+    // the children are discarded, along with the contents they were placed in
+    this.childComponents.forEach((child) => {
+      child.stop();
+      child._parentComponent = null;
+    });
+    this.childComponents = [];
+    this.childComponentIds = {};
+    this._resetVirtualDOM();
+
+    this.onError(failure.error, failure.info); //hook
+
+    // the fallback is rendered immediately, even if this component is
+    // being created by its parent
+    let parsingService = this._parsingService;
+    this._parsingService = Component._defaultParsingService;
+    this._failure = failure;
+    try {
+      this.render();
+    } finally {
+      this._failure = null;
+      this._parsingService = parsingService;
+    }
+  }
+
+  // called after each render, before the afterRender() hook. Two-way bindings
+  // are a ModelComponent feature (see ModelComponent)
+  _updateBindings() {
+  }
+
   // place the global event listener in the root of this component
   _updateEventListeners() {
-    var rootNode = this._getComponentNode();
+    var rootNode = this._getEventsNode();
     if (rootNode !== null) {
       for (let i = 0; i < this.eventListeners.length; i++) {
         let listener = this.eventListeners[i];
@@ -827,15 +1267,32 @@ class Component {
 }
 
 // A simple parsing service that immediately parses the html content and
-// calls the callback with the results
+// calls the callback with the results.
+// The html is parsed inside a template element, where elements which are only
+// valid in some contexts (e.g.: <tr>, <td>, <caption>, <col>, <option>) are
+// parsed correctly, as they would be in their context. If a namespace is given
+// (SVG or MathML), the html is parsed inside an <svg> or <math> element.
 Component.ParsingService = class ParsingService {
-  parse(htmlContents, callback) {
-    var elem = document.createElement('div');
-    elem.innerHTML = htmlContents;
-    if (elem.childNodes.length > 1) {
-      throw 'Rendering function MUST return a tree with a single root element ' + elem.innerHTML;
+  parse(htmlContents, callback, namespace) {
+    var template = document.createElement('template');
+    template.innerHTML = ParsingService._wrap(htmlContents, namespace);
+    callback(Component._createRoot(ParsingService._unwrap(template.content, namespace).childNodes));
+  }
+
+  static _wrap(html, namespace) {
+    switch (namespace) {
+      case Component.SVG_NAMESPACE:
+        return '<svg>' + html + '</svg>';
+      case Component.MATHML_NAMESPACE:
+        return '<math>' + html + '</math>';
+      default:
+        return html;
     }
-    callback(elem.firstChild);
+  }
+
+  static _unwrap(content, namespace) {
+    return (namespace === Component.SVG_NAMESPACE || namespace === Component.MATHML_NAMESPACE) ?
+      content.firstChild : content;
   }
 };
 
@@ -859,11 +1316,8 @@ Component.BufferedParsingService = class BufferedParsingService extends Componen
 
   finish() {
     if (this.callbacks.length > 0) {
-      this.parsedTree = document.createElement('div');
+      this.parsedTree = document.createElement('template');
       this.parsedTree.innerHTML = this.currentHTML;
-      if (this.parsedTree.firstChild.childNodes.length > 1) {
-        throw 'Rendering function MUST return a tree with a single root element ' + this.parsedTree.firstChild.innerHTML;
-      }
 
       for (let i = 0; i < this.callbacks.length; i++) {
         var callback = this.callbacks[i];
@@ -872,11 +1326,13 @@ Component.BufferedParsingService = class BufferedParsingService extends Componen
     }
   }
 
-  parse(html, callback) {
-    this.currentHTML += '<div>' + html + '</div>';
+  parse(html, callback, namespace) {
+    // each html is parsed in its own template element
+    this.currentHTML += '<template>' + Component.ParsingService._wrap(html, namespace) + '</template>';
     var currentCounter = this.counter;
     this.callbacks.push(() => {
-      callback(this.parsedTree.childNodes[currentCounter].firstChild);
+      let content = this.parsedTree.content.childNodes[currentCounter].content;
+      callback(Component._createRoot(Component.ParsingService._unwrap(content, namespace).childNodes));
     });
     this.counter++;
   }
@@ -885,6 +1341,176 @@ Component.BufferedParsingService = class BufferedParsingService extends Componen
 
 Component._defaultParsingService = new Component.ParsingService();
 
+/**
+ * The namespace of SVG elements.
+ * @type {String}
+ */
+Component.SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+/**
+ * The namespace of MathML elements.
+ * @type {String}
+ */
+Component.MATHML_NAMESPACE = 'http://www.w3.org/1998/Math/MathML';
+
+/**
+ * The render mode where scheduled renders are done in a microtask.
+ * @type {String}
+ */
+Component.RENDER_MICROTASK = 'microtask';
+/**
+ * The render mode where scheduled renders are done in an animation frame.
+ * @type {String}
+ */
+Component.RENDER_ANIMATION_FRAME = 'animationFrame';
+/**
+ * The render mode where scheduled renders are done immediately (the default).
+ * @type {String}
+ */
+Component.RENDER_SYNC = 'sync';
+
+// Batches the renders scheduled via Component.scheduleRender(). Each batch
+// renders parents first, and skips the components already rendered (e.g.: by
+// their parents) since they were scheduled.
+// In synchronous mode, models notify their observers inside a cycle (see
+// notify()), and renders of components already rendered in the
+// current cycle are skipped.
+Component.RenderScheduler = class RenderScheduler {
+  constructor() {
+    this.mode = Component.RENDER_SYNC;
+    this.dirty = new Set();
+    this.scheduled = false;
+    this.waiting = [];
+    // the components rendered in each active notification cycle, innermost last
+    this.cycles = [];
+  }
+
+  setMode(mode) {
+    this.mode = mode;
+    if (mode === Component.RENDER_SYNC) {
+      this.flush();
+    }
+  }
+
+  schedule(component) {
+    if (this.mode === Component.RENDER_SYNC) {
+      let cycle = this.cycles[this.cycles.length - 1];
+      if (cycle === undefined || !cycle.has(component)) {
+        component.render();
+      }
+      return;
+    }
+    this.dirty.add(component);
+    this._requestFlush();
+  }
+
+  rendered(component) {
+    this.dirty.delete(component);
+    this.cycles.forEach((cycle) => cycle.add(component));
+  }
+
+  // runs a notification of model observers (see
+  // Model.setNotificationScheduler()), calling the observers of parents first
+  notify(observers, notify) {
+    let depths = observers.map((observer) => observer.component instanceof Component ?
+      RenderScheduler._depth(observer.component) : 0);
+    let sorted = observers.map((observer, index) => index)
+      .sort((a, b) => depths[a] - depths[b] || a - b)
+      .map((index) => observers[index]);
+    this.cycles.push(new Set());
+    try {
+      sorted.forEach(notify);
+    } finally {
+      this.cycles.pop();
+    }
+  }
+
+  isScheduled(component) {
+    return this.dirty.has(component);
+  }
+
+  flush() {
+    let errors = [];
+    // renders may schedule other renders
+    for (let batches = 0; this.dirty.size > 0; batches++) {
+      if (batches === 100) {
+        this.dirty.clear();
+        errors.push({
+          error: new Error('Too many nested scheduled renders. Is a render changing its own models?'),
+          context: {}
+        });
+        break;
+      }
+      this._renderBatch(errors);
+    }
+    let waiting = this.waiting;
+    this.waiting = [];
+    waiting.forEach((resolve) => resolve());
+    Model._reportErrors(errors);
+  }
+
+  nextRender() {
+    // waits a microtask, so notifications already queued (e.g.: of a
+    // ReactiveModel) can schedule their renders
+    return Promise.resolve().then(() => this.dirty.size === 0 ? undefined :
+      new Promise((resolve) => this.waiting.push(resolve)));
+  }
+
+  _renderBatch(errors) {
+    let components = Array.from(this.dirty);
+    let depths = new Map();
+    components.forEach((component) => depths.set(component, RenderScheduler._depth(component)));
+    components.sort((a, b) => depths.get(a) - depths.get(b));
+
+    components.forEach((component) => {
+      // skip components rendered in the meantime
+      if (this.dirty.has(component)) {
+        try {
+          component.render();
+        } catch (error) {
+          this.dirty.delete(component);
+          errors.push({
+            error: error,
+            context: {
+              component: component
+            }
+          });
+        }
+      }
+    });
+  }
+
+  _requestFlush() {
+    if (this.scheduled) {
+      return;
+    }
+    this.scheduled = true;
+    let flush = () => {
+      this.scheduled = false;
+      try {
+        this.flush();
+      } catch (error) {
+        // an error handler rethrowing would end in an unhandled rejection
+        console.error('Fronty: a scheduled render failed', error);
+      }
+    };
+    if (this.mode === Component.RENDER_ANIMATION_FRAME && typeof requestAnimationFrame === 'function') {
+      requestAnimationFrame(flush);
+    } else {
+      Promise.resolve().then(flush);
+    }
+  }
+
+  static _depth(component) {
+    let depth = 0;
+    for (let parent = component._parentComponent; parent !== null; parent = parent._parentComponent) {
+      depth++;
+    }
+    return depth;
+  }
+};
+
+Component._renderScheduler = new Component.RenderScheduler();
+
 
 /*********** DOM TREE DIFF & PATCH *******/
 /**
@@ -944,7 +1570,8 @@ class TreeComparator {
 
     var result = [];
 
-    if (node1 !== null && node1.tagName === node2.tagName && node1.nodeType === node2.nodeType) {
+    if (node1 !== null && node1.tagName === node2.tagName && node1.nodeType === node2.nodeType &&
+      node1.namespaceURI === node2.namespaceURI) {
       // equal tagName and nodeType, compare children...
       if (node1.hasChildNodes() || node2.hasChildNodes()) {
         TreeComparator._compareChildren(node1, node2, comparePolicy, result);
@@ -1179,6 +1806,7 @@ class TreeComparator {
 
     for (let i = 0; i < node1.attributes.length; i++) {
       if (node1.attributes[i].name != node2.attributes[i].name ||
+        node1.attributes[i].namespaceURI !== node2.attributes[i].namespaceURI ||
         node1.attributes[i].value != node2.attributes[i].value) {
         return false;
       }
@@ -1189,12 +1817,57 @@ class TreeComparator {
 
   static _swapElements(obj1, obj2) {
     var temp = document.createElement("div");
-    obj1.parentNode.insertBefore(temp, obj1);
-    obj2.parentNode.insertBefore(obj1, obj2);
-    temp.parentNode.insertBefore(obj2, temp);
+    TreeComparator._insertBefore(TreeComparator._parentOf(obj1), temp, obj1);
+    TreeComparator._insertBefore(TreeComparator._parentOf(obj2), obj1, obj2);
+    TreeComparator._insertBefore(temp.parentNode, obj2, temp);
     temp.parentNode.removeChild(temp);
   }
 
+  // the following helpers also accept node ranges (see
+  // TreeComparator.NodeRange), which are the real roots of components
+  // rendering several root nodes
+
+  static _parentOf(node) {
+    return node instanceof TreeComparator.NodeRange ? node.start.parentNode : node.parentNode;
+  }
+
+  // the child nodes of a node, where the nodes of each range count as one
+  static _childNodes(node) {
+    if (node instanceof TreeComparator.NodeRange) {
+      return TreeComparator.NodeRange._units(node.start.nextSibling, node.end);
+    }
+    if (node.containsNodeRanges === true) {
+      return TreeComparator.NodeRange._units(node.firstChild, null);
+    }
+    return node.childNodes;
+  }
+
+  static _insertBefore(parent, node, reference) {
+    if (parent instanceof TreeComparator.NodeRange) {
+      parent.insertBefore(node, reference);
+      return;
+    }
+    if (node instanceof TreeComparator.NodeRange) {
+      parent.containsNodeRanges = true;
+      node = node.extract();
+    }
+    parent.insertBefore(node,
+      reference instanceof TreeComparator.NodeRange ? reference.start : (reference ? reference : null));
+  }
+
+  static _removeNode(node) {
+    if (node instanceof TreeComparator.NodeRange) {
+      node.extract();
+    } else {
+      node.parentNode.removeChild(node);
+    }
+  }
+
+  static _replaceNode(node, replacement) {
+    TreeComparator._insertBefore(TreeComparator._parentOf(node), replacement, node);
+    TreeComparator._removeNode(node);
+  }
+
   /**
    * Applies the patches to the current DOM.
    *
@@ -1225,18 +1898,21 @@ class TreeComparator {
               toReplace.checked =
                 (attribute.checked !== false) ? true : false;
             }
-            if (!toReplace.hasAttribute(attribute.name) || toReplace.getAttribute(attribute.name) !== attribute.value) {
-              toReplace.setAttribute(attribute.name, attribute.value);
+            // namespaced attributes (e.g.: xlink:href in SVG) are set with
+            // their namespace
+            if (!toReplace.hasAttributeNS(attribute.namespaceURI, attribute.localName) ||
+              toReplace.getAttributeNS(attribute.namespaceURI, attribute.localName) !== attribute.value) {
+              toReplace.setAttributeNS(attribute.namespaceURI, attribute.name, attribute.value);
             }
           }
 
           for (let j = toReplace.attributes.length - 1; j >= 0; j--) {
             attribute = patch.toReplace.attributes[j];
-            if (!replacement.hasAttribute(attribute.name)) {
+            if (!replacement.hasAttributeNS(attribute.namespaceURI, attribute.localName)) {
               if (attribute.name === 'checked') {
                 toReplace.checked = false;
               }
-              toReplace.removeAttribute(attribute.name);
+              toReplace.removeAttributeNS(attribute.namespaceURI, attribute.localName);
             }
           }
           break;
@@ -1244,23 +1920,20 @@ class TreeComparator {
           patch.toReplace.nodeValue = patch.replacement.nodeValue;
           break;
         case TreeComparator.PATCH_REMOVE_NODE:
-          patch.toReplace.parentNode.removeChild(patch.toReplace);
+          TreeComparator._removeNode(patch.toReplace);
           break;
         case TreeComparator.PATCH_APPEND_CHILD:
-          patch.toReplace.appendChild(patch.replacement);
+          TreeComparator._insertBefore(patch.toReplace, patch.replacement, null);
           break;
         case TreeComparator.PATCH_INSERT_NODE:
-          if (!patch.toReplace.hasChildNodes()) {
-            patch.toReplace.appendChild(patch.replacement);
-          } else {
-            patch.toReplace.insertBefore(patch.replacement, patch.toReplace.childNodes[patch.beforePos]);
-          }
+          TreeComparator._insertBefore(patch.toReplace, patch.replacement,
+            TreeComparator._childNodes(patch.toReplace)[patch.beforePos]);
           break;
         case TreeComparator.PATCH_SWAP_NODES:
           TreeComparator._swapElements(patch.toReplace, patch.replacement);
           break;
         case TreeComparator.PATCH_REPLACE_NODE:
-          patch.toReplace.parentNode.replaceChild(patch.replacement, patch.toReplace);
+          TreeComparator._replaceNode(patch.toReplace, patch.replacement);
           break;
       }
     }
@@ -1278,13 +1951,141 @@ TreeComparator.COMPARE_POLICY_SKIP = 0;
 TreeComparator.COMPARE_POLICY_REPLACE = 1;
 TreeComparator.COMPARE_POLICY_DIFF = 2;
 TreeComparator.COMPARE_POLICY_ATTRIBUTES = 3;
+
 /**
- * A Model is a general-purpose, observable object, holding user specific data.
- *
- *  The object can receive <em>observer functions</em> (via
- * {@link Model#addObserver|addObserver()} function), which will be notified
- *  when the {@link Model#set|set( callback )} method of this object is called.
- *
+ * A range of sibling nodes in the real DOM, delimited by two marker comments.
+ * It is the real root of a {@link Component} whose renderer returns several
+ * root nodes (a fragment), and can be patched like an element whose children
+ * are the nodes of the range.
+ */
+TreeComparator.NodeRange = class NodeRange {
+
+  /**
+   * Creates an empty range, outside the document.
+   *
+   * @param {String} label A label for the marker comments.
+   */
+  constructor(label) {
+    /**
+     * The comment marking the start of this range.
+     * @name TreeComparator.NodeRange#start
+     * @type Comment
+     */
+    this.start = document.createComment('fronty:' + label);
+    /**
+     * The comment marking the end of this range.
+     * @name TreeComparator.NodeRange#end
+     * @type Comment
+     */
+    this.end = document.createComment('/fronty:' + label);
+    this.start.nodeRange = this;
+
+    let fragment = document.createDocumentFragment();
+    fragment.appendChild(this.start);
+    fragment.appendChild(this.end);
+  }
+
+  get firstChild() {
+    return this.start.nextSibling !== this.end ? this.start.nextSibling : null;
+  }
+
+  get childNodes() {
+    return TreeComparator._childNodes(this);
+  }
+
+  hasChildNodes() {
+    return this.firstChild !== null;
+  }
+
+  appendChild(node) {
+    this.insertBefore(node, null);
+  }
+
+  insertBefore(node, reference) {
+    TreeComparator._insertBefore(this.start.parentNode, node, reference ? reference : this.end);
+  }
+
+  /**
+   * Whether a node is inside this range (or is a descendant of a node inside
+   * this range).
+   *
+   * @param {Node} node The node.
+   * @return {Boolean} true if the node is inside this range.
+   */
+  contains(node) {
+    return node !== this.start && node !== this.end &&
+      (this.start.compareDocumentPosition(node) & Node.DOCUMENT_POSITION_FOLLOWING) !== 0 &&
+      (this.end.compareDocumentPosition(node) & Node.DOCUMENT_POSITION_PRECEDING) !== 0;
+  }
+
+  /**
+   * Whether this range is in the document.
+   *
+   * @return {Boolean} true if this range is in the document.
+   */
+  isConnected() {
+    return document.contains(this.start);
+  }
+
+  /**
+   * Finds the elements inside this range matching a selector.
+   *
+   * @param {String} selector The selector.
+   * @return {Array.<Element>} The matching elements, in document order.
+   */
+  querySelectorAll(selector) {
+    let result = [];
+    for (let node = this.start.nextSibling; node !== this.end; node = node.nextSibling) {
+      if (node.nodeType === Node.ELEMENT_NODE) {
+        if (node.matches(selector)) {
+          result.push(node);
+        }
+        result.push.apply(result, node.querySelectorAll(selector));
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Removes the nodes of this range (including the markers) from their
+   * parent.
+   *
+   * @return {DocumentFragment} A fragment with the removed nodes.
+   */
+  extract() {
+    let nodes = [];
+    for (let node = this.start; node !== this.end; node = node.nextSibling) {
+      nodes.push(node);
+    }
+    nodes.push(this.end);
+
+    let fragment = document.createDocumentFragment();
+    nodes.forEach((node) => fragment.appendChild(node));
+    return fragment;
+  }
+
+  // the nodes from the given one until the given end node, where the nodes of
+  // each nested range count as one
+  static _units(from, until) {
+    let units = [];
+    for (let node = from; node !== until && node !== null; node = node.nextSibling) {
+      if (node.nodeRange !== undefined && node.nodeRange.start === node) {
+        units.push(node.nodeRange);
+        node = node.nodeRange.end;
+      } else {
+        units.push(node);
+      }
+    }
+    return units;
+  }
+};
+/**
+ * A Model is a general-purpose, observable object, holding user specific data.
+ *
+ *  The object can receive <em>observer functions</em> (via
+ * {@link Model#addObserver|addObserver()} function), which will be notified
+ *  when the {@link Model#set|set( callback )} method of this object is called.
+ *
  */
 class Model {
 
@@ -1305,6 +2106,43 @@ class Model {
      * @type {String}
      */
     this.name = name ? name : '--unnamed model--';
+
+    // computed properties added via addComputed(), arranged by name
+    this._computed = {};
+
+    // undo/redo history, enabled via enableHistory()
+    this._history = null;
+
+    // property paths of the observers added with a path, arranged by observer
+    this._observerPaths = new Map();
+
+    // middleware functions added via addMiddleware()
+    this._middlewares = [];
+
+    // functions receiving the JSON patch of each change, added via addPatchListener()
+    this._patchListeners = [];
+
+    // the last request of each setAsync() property: {id, controller}
+    this._asyncRequests = {};
+
+    // the fields declared via defineSchema()
+    this._schema = null;
+    // whether the fields must be validated on the first access to errors
+    this._validationPending = false;
+    if (this.constructor.schema) {
+      // the constructors of subclasses may still assign fields, so they are
+      // coerced and validated later
+      this._applySchema(this.constructor.schema);
+      this._validationPending = true;
+      Object.defineProperty(this, 'errors', {
+        configurable: true,
+        enumerable: true,
+        get: () => {
+          this.validate();
+          return this.errors;
+        }
+      });
+    }
   }
 
   /**
@@ -1321,49 +2159,3331 @@ class Model {
    *        parameter.
    * @param {Object} [hint] Any additional object to be passed to
    *         {@link Model#observers|observers} during notification.
+   * @see {@link Model#addMiddleware}
    */
   set(updater, hint) {
+    let middlewares = Model._middlewares.concat(this._middlewares);
+    if (middlewares.length > 0) {
+      this._setThroughMiddlewares(middlewares, updater, hint);
+      return;
+    }
+    // recorded once the updater succeeds
+    let undoStep = this._history !== null ? this._takeUndoStep(hint) : null;
+    // changes are only computed if some observer is interested in them
+    let snapshot = this._observerPaths.size > 0 ? this._takeChangesSnapshot() : null;
+    let patchSnapshot = this._takePatchSnapshot();
+
     updater(this);
-    this.notifyObservers(hint);
+    if (this._schema !== null) {
+      this.validate();
+    }
+    this._recordUndoStep(undoStep);
+
+    this.notifyObservers(hint, snapshot !== null ? this._computeChanges(snapshot) : undefined);
+    if (patchSnapshot !== null) {
+      this._notifyPatch(patchSnapshot, hint);
+    }
+  }
+
+  /**
+   * Updates a property of this Model with the result of an asynchronous
+   * operation, tracking its status.<br>
+   *
+   * The property holds an object like <code>{status: String, data: Object, error: Object}</code>,
+   * where status is {@link Model.ASYNC_PENDING}, {@link Model.ASYNC_FULFILLED}
+   * or {@link Model.ASYNC_REJECTED}. While pending, the data of the previous
+   * request is kept. Each transition is made via {@link Model#set|set()}, with
+   * the hint <code>{async: property, status: status}</code>, so renderers can
+   * branch on the status. If the final transition fails (e.g.: a middleware
+   * throws), the property is rejected with the error of the transition.
+   *
+   * <p>If a new request for the same property starts before the previous one
+   * ends, the previous one is stale: its result is ignored and, if
+   * <code>AbortController</code> is available, its signal is aborted.</p>
+   *
+   * @example
+   * model.setAsync('items', (signal) => fetch('/items', {signal: signal}).then((r) => r.json()));
+   * // in the renderer
+   * if (model.items.status === 'pending') ...
+   *
+   * @param {String} property The property to update.
+   * @param {Function} promiseFactory A function starting the operation and
+   *        returning a Promise. It receives an <code>AbortSignal</code>, if
+   *        available, to cancel the operation.
+   * @return {Promise} A Promise resolved with the final value of the
+   *         property, or with null if a newer request superseded this one. It
+   *         is never rejected.
+   */
+  setAsync(property, promiseFactory) {
+    let previous = this._asyncRequests[property];
+    if (previous && previous.controller !== null) {
+      previous.controller.abort();
+    }
+    let request = {
+      id: previous ? previous.id + 1 : 1,
+      controller: typeof AbortController !== 'undefined' ? new AbortController() : null
+    };
+    this._asyncRequests[property] = request;
+
+    let data = this[property] && typeof this[property] === 'object' ? this[property].data : undefined;
+    this._setAsyncStatus(property, Model.ASYNC_PENDING, data, null);
+
+    let promise;
+    try {
+      promise = Promise.resolve(promiseFactory(request.controller !== null ? request.controller.signal : undefined));
+    } catch (error) {
+      promise = Promise.reject(error);
+    }
+    let settle = (status, result, error) => {
+      if (this._asyncRequests[property] !== request) {
+        return null;
+      }
+      delete this._asyncRequests[property];
+      try {
+        this._setAsyncStatus(property, status, result, error);
+      } catch (settleError) {
+        // the change failed (e.g.: a middleware, the schema or an observer
+        // threw), so the failure is recorded, notifying observers if possible
+        try {
+          this._setAsyncStatus(property, Model.ASYNC_REJECTED, data, settleError);
+        } catch (e) {
+          this[property] = {
+            status: Model.ASYNC_REJECTED,
+            data: data,
+            error: settleError
+          };
+        }
+      }
+      return this[property];
+    };
+    return promise.then(
+      (result) => settle(Model.ASYNC_FULFILLED, result, null),
+      (error) => settle(Model.ASYNC_REJECTED, data, error));
+  }
+
+  /**
+   * Adds a middleware function to this Model, which will run around each
+   * call to {@link Model#set|set()}.<br>
+   *
+   * A middleware receives a <code>context</code> and a <code>next</code>
+   * function, which runs the remaining middlewares and, finally, the updater.
+   * Middlewares added to all Models (see
+   * {@link Model.addMiddleware|Model.addMiddleware()}) run before the ones
+   * of the Model. The context contains:
+   * <ul>
+   * <li><code>model</code>: this Model.</li>
+   * <li><code>updater</code>: the updater function. A middleware can replace
+   * it before calling next() in order to wrap or transform the change.</li>
+   * <li><code>hint</code>: the hint to be passed to observers, which can also
+   * be replaced.</li>
+   * <li><code>before</code>: a copy of the state before the change (see
+   * {@link Model#enableHistory|enableHistory()}), made when it is first read
+   * or when the updater runs. The state after the change is the Model itself
+   * once next() returns.</li>
+   * <li><code>rollback()</code>: a function to veto the change. If called
+   * after next(), the state before the change is restored.</li>
+   * </ul>
+   *
+   * <p>If a middleware does not call next(), the change is vetoed. Observers
+   * are not notified of vetoed changes. If a middleware (or the updater)
+   * throws, the change is rolled back and the exception propagated.</p>
+   *
+   * <p>Middlewares must be synchronous. Changes not made via set() (e.g.:
+   * in a {@link ReactiveModel}) do not go through middlewares.</p>
+   *
+   * @example
+   * model.addMiddleware((context, next) => {
+   *   next();
+   *   if (context.model.price < 0) {
+   *     context.rollback(); // invalid state
+   *   }
+   * });
+   *
+   * @param {Function} middleware The middleware to add.
+   */
+  addMiddleware(middleware) {
+    this._middlewares.push(middleware);
+  }
+
+  /**
+   * Removes a middleware function from this Model.
+   *
+   * @param {Function} middleware The middleware to remove.
+   */
+  removeMiddleware(middleware) {
+    if (this._middlewares.indexOf(middleware) !== -1) {
+      this._middlewares.splice(this._middlewares.indexOf(middleware), 1);
+    }
+  }
+
+  /**
+   * Adds a middleware function to all Models. It runs before the middlewares
+   * of each Model.
+   *
+   * @example
+   * // a development logger
+   * Fronty.Model.addMiddleware((context, next) => {
+   *   next();
+   *   console.log(context.model.name, context.before, context.model);
+   * });
+   *
+   * @param {Function} middleware The middleware to add.
+   * @see {@link Model#addMiddleware}
+   */
+  static addMiddleware(middleware) {
+    Model._middlewares.push(middleware);
+  }
+
+  /**
+   * Removes a middleware function added to all Models.
+   *
+   * @param {Function} middleware The middleware to remove.
+   */
+  static removeMiddleware(middleware) {
+    if (Model._middlewares.indexOf(middleware) !== -1) {
+      Model._middlewares.splice(Model._middlewares.indexOf(middleware), 1);
+    }
   }
 
   /**
    * Invokes all {@link Model#observers|observers}.
    *
+   * <p>Observers added with a path are only invoked if one of the given
+   * changes affects that path. If no changes are given, all observers are
+   * invoked.</p>
+   *
+   * <p>Inside a {@link Model.transaction|transaction}, observers are not
+   * invoked immediately, but when the outermost transaction ends.</p>
+   *
+   * <p>If an observer throws, the remaining observers are invoked anyway.
+   * Errors are reported afterwards to the error handler (see
+   * {@link Model.onError}).</p>
+   *
+   * <p>Observers of {@link ModelComponent|ModelComponents} are invoked
+   * parents first. In synchronous render mode (see
+   * {@link Component.setRenderMode}), the components already rendered during
+   * this notification (e.g.: updated by their parents) are not rendered
+   * again.</p>
+   *
    * @param {Object} [hint] An optional object to pass as argument to observers.
+   * @param {Array.<{model: Model, path: String, oldValue: Object, newValue: Object}>} [changes]
+   *        The changes made in this Model, if they are known.
    */
-  notifyObservers(hint) {
-    for (let i = 0; i < this.observers.length; i++) {
-      let observer = this.observers[i];
-      observer(this, hint);
+  notifyObservers(hint, changes) {
+    if (Model._transactionDepth > 0) {
+      Model._deferNotification(this, hint, changes);
+      return;
+    }
+    if (Model._leakDetection !== null) {
+      this._checkLeaks();
     }
+    let errors = [];
+    // copy, since observers may add or remove observers
+    Model._notificationScheduler(this.observers.slice(), (observer) => {
+      if (this.observers.indexOf(observer) !== -1 && this._isAffectedObserver(observer, changes)) {
+        Model._invokeObserver(observer, this, hint, this._observerChanges(observer, changes), errors);
+      }
+    });
+    Model._reportErrors(errors);
+  }
+
+  /**
+   * Sets the function handling the errors thrown by observers during
+   * notification.<br>
+   *
+   * The handler receives the error and an object with the context where it
+   * was thrown: <code>{model: Model, modelName: String, observer: Function,
+   * component: ModelComponent, hint: Object}</code>, where
+   * <code>component</code> is the {@link ModelComponent} the observer belongs
+   * to, if any. It is called once all the observers have been notified, so if
+   * the handler throws, the exception is propagated to the caller of
+   * {@link Model#set|set()} without affecting other observers. This is useful
+   * in tests, in order to surface the errors.
+   *
+   * <p>The default handler logs the errors with <code>console.error</code>.</p>
+   *
+   * @example
+   * // in tests
+   * Fronty.onError((error) => { throw error; });
+   *
+   * @param {Function} [handler] The error handler. If not given, the default
+   *        handler is restored.
+   * @return {Function} The previous error handler.
+   */
+  static onError(handler) {
+    let previous = Model._errorHandler;
+    Model._errorHandler = handler ? handler : Model._logError;
+    return previous;
+  }
+
+  /**
+   * Sets the function which runs the notifications of observers.<br>
+   *
+   * The scheduler receives the array of observers to notify and a function
+   * which notifies one of them, and it must call this function once for
+   * each observer before returning, in the order it chooses.
+   * {@link Component} sets a scheduler which notifies the observers of
+   * {@link ModelComponent|ModelComponents} parents first (see
+   * {@link Model#notifyObservers|notifyObservers()}).
+   *
+   * <p>The default scheduler notifies the observers in the order they were
+   * added.</p>
+   *
+   * @param {Function} [scheduler] The scheduler. If not given, the default
+   *        scheduler is restored.
+   * @return {Function} The previous scheduler.
+   */
+  static setNotificationScheduler(scheduler) {
+    let previous = Model._notificationScheduler;
+    Model._notificationScheduler = scheduler ? scheduler : Model._notifyInOrder;
+    return previous;
   }
 
   /**
    * Adds an observer function to this Model.<br>
    *
+   * Observers are called with three arguments: this Model, the hint given to
+   * {@link Model#set|set()} and, if they are known, the changes made to this
+   * Model as an array of change records:
+   * <code>{model: Model, path: String, oldValue: Object, newValue: Object}</code>.
+   *
+   * <p>If a path is given, the observer is only called when the change affects
+   * that path. Paths are property names separated by dots, where
+   * <code>*</code> matches any property name. For example,
+   * <code>'user.address.city'</code>, <code>'items.*'</code> (any change in
+   * the items array or its elements) or <code>'*'</code> (any change).
+   * Changes are computed by comparing the state before and after
+   * {@link Model#set|set()}, only under the paths observed, so they are only
+   * given to the observers with a path. If the changes are not known (e.g.: a manual call to
+   * {@link Model#notifyObservers|notifyObservers()}), all observers are
+   * called.</p>
+   *
+   * @example
+   * model.addObserver((model, hint, changes) => {
+   *   console.log('new city: ' + changes[0].newValue);
+   * }, 'user.address.city');
+   *
    * @param {Function} observer The observer to add.
+   * @param {String|Array.<String>} [path] The path or paths this observer is
+   *        interested in.
    * @see {@link Model#observers}
    */
-  addObserver(observer) {
+  addObserver(observer, path) {
     this.observers.push(observer);
+    if (path !== undefined && path !== null) {
+      this._observerPaths.set(observer, (Array.isArray(path) ? path : [path]).map(
+        (pattern) => pattern.split('.')));
+    }
+    if (Model._leakDetection !== null) {
+      this._checkLeaks();
+    }
     //console.log('Model [' + this.name + ']: added observer, total: ' + this.observers.length);
   }
 
-  /**
-   * Removes an observer function from this Model.<br>
-   *
-   * The function will no longer be notified of changes in this Model.
-   *
-   * @param {Function} observer The observer to be removed.
-   */
-  removeObserver(observer) {
-    if (this.observers.indexOf(observer) != -1) {
-      this.observers.splice(this.observers.indexOf(observer), 1);
-      //console.log('Model [' + this.name + ']: removed observer, total: ' + this.observers.length);
+  /**
+   * Returns the observers of this Model belonging to components which are
+   * detached from the document (see {@link Component#isDetached}). These
+   * observers are usually leaks: components removed from the page without
+   * being stopped.<br>
+   *
+   * The component of an observer is known if the observer has a
+   * <code>component</code> property, like the updater of a
+   * {@link ModelComponent}.
+   *
+   * @return {Array.<{observer: Function, component: Component}>} The leaked
+   *         observers.
+   * @see {@link Model.enableLeakDetection}
+   */
+  findLeakedObservers() {
+    return this.observers.filter((observer) => observer.component &&
+      typeof observer.component.isDetached === 'function' && observer.component.isDetached()
+    ).map((observer) => ({
+      observer: observer,
+      component: observer.component
+    }));
+  }
+
+  /**
+   * Enables the detection of leaked observers (see
+   * {@link Model#findLeakedObservers|findLeakedObservers()}) in all Models,
+   * intended for development.<br>
+   *
+   * Each time an observer is added to a Model, or a Model notifies its
+   * observers, its leaked observers are searched. By default, a warning
+   * is logged with <code>console.warn</code> (once per component). In
+   * auto-cleanup mode, the components of the leaked observers are stopped
+   * instead, so they stop observing their models.
+   *
+   * @param {Object} [options] The detection options.
+   * @param {Boolean} [options.autoCleanup=false] Whether to stop the
+   *        components of the leaked observers, instead of warning.
+   */
+  static enableLeakDetection(options) {
+    options = options ? options : {};
+    Model._leakDetection = {
+      autoCleanup: options.autoCleanup === true,
+      warned: new WeakSet()
+    };
+  }
+
+  /**
+   * Disables the detection of leaked observers.
+   */
+  static disableLeakDetection() {
+    Model._leakDetection = null;
+  }
+
+  /**
+   * Removes an observer function from this Model.<br>
+   *
+   * The function will no longer be notified of changes in this Model.
+   *
+   * @param {Function} observer The observer to be removed.
+   */
+  removeObserver(observer) {
+    if (this.observers.indexOf(observer) != -1) {
+      this.observers.splice(this.observers.indexOf(observer), 1);
+      this._observerPaths.delete(observer);
+      //console.log('Model [' + this.name + ']: removed observer, total: ' + this.observers.length);
+    }
+  }
+
+  /**
+   * Adds a function receiving the changes made by each call to
+   * {@link Model#set|set()} as a <a href="https://tools.ietf.org/html/rfc6902">JSON Patch</a>
+   * (RFC 6902).<br>
+   *
+   * The listener is called after the observers, with three arguments: an
+   * array of operations, like <code>{op: 'replace', path: '/items/0/done', value: true}</code>,
+   * this Model and the hint given to set(). It is not called if nothing
+   * changed. The patch applies to the data properties of this Model (see
+   * {@link Model#enableHistory|enableHistory()}), and it is computed
+   * by comparing them before and after set(), only if there are patch
+   * listeners. Nested Models are compared by reference.<br>
+   *
+   * The changes made by {@link Model#undo|undo()}, {@link Model#redo|redo()},
+   * {@link ModelSync}, {@link ModelPersistence#restore|ModelPersistence.restore()}
+   * and the automatic notifications of {@link ReactiveModel} are also
+   * received, with the hint given to the observers.
+   *
+   * @example
+   * model.addPatchListener((patch, model, hint) => {
+   *   if (!hint || !hint.patch) { // skip patches received from the server
+   *     sendToServer(patch);
+   *   }
+   * });
+   *
+   * @param {Function} listener The listener to add.
+   */
+  addPatchListener(listener) {
+    this._patchListeners.push(listener);
+  }
+
+  /**
+   * Removes a function added via {@link Model#addPatchListener|addPatchListener()}.
+   *
+   * @param {Function} listener The listener to remove.
+   */
+  removePatchListener(listener) {
+    if (this._patchListeners.indexOf(listener) !== -1) {
+      this._patchListeners.splice(this._patchListeners.indexOf(listener), 1);
+    }
+  }
+
+  /**
+   * Applies a <a href="https://tools.ietf.org/html/rfc6902">JSON Patch</a>
+   * (RFC 6902) to the data properties of this Model.<br>
+   *
+   * The patch is applied atomically via {@link Model#set|set()} with the
+   * hint <code>{patch: patch}</code>, so observers are notified once. If an
+   * operation cannot be applied, or a <code>test</code> operation fails, an
+   * Error is thrown and this Model is not changed. Only the values at the
+   * paths of the patch are changed: the rest of the state keeps its
+   * references. Paths may go through nested Models.
+   *
+   * @example
+   * model.applyPatch([
+   *   {op: 'add', path: '/items/-', value: {description: 'lunch'}},
+   *   {op: 'remove', path: '/filter'}
+   * ]);
+   *
+   * @param {Array.<Object>} patch The operations to apply.
+   */
+  applyPatch(patch) {
+    // the whole patch is first applied to a copy of the properties it
+    // touches, so this Model is only changed if every operation succeeds
+    let document = {};
+    this._patchedProperties(patch).forEach((key) => {
+      if (this.hasOwnProperty(key)) {
+        document[key] = Model._copyPatchDocument(this[key]);
+      }
+    });
+    patch.forEach((operation) => {
+      document = Model._applyPatchOperation(document, operation);
+    });
+    if (document === null || typeof document !== 'object' || Array.isArray(document)) {
+      throw new Error('JSON patch: the model must remain an object');
+    }
+    Object.keys(document).forEach((key) => this._checkPatchedProperty(key));
+
+    this.set(() => {
+      let target = this;
+      patch.forEach((operation) => {
+        if (operation.op !== 'test') {
+          target = Model._applyPatchOperation(target, operation);
+          if (target !== this) {
+            // the whole model was replaced
+            this._restoreSnapshot(target, this._stateProperties());
+            target = this;
+          }
+        }
+      });
+    }, {
+      patch: patch
+    });
+  }
+
+  /**
+   * Runs a function making changes in one or more Models, deferring all the
+   * notifications of any Model until the function returns.<br>
+   *
+   * When the outermost transaction ends, each observer is invoked at most
+   * once, even if it observes several of the changed Models or a Model was
+   * changed several times. An observer notified only once receives the
+   * original model, hint and changes. An observer with several pending
+   * notifications receives the first model, a hint like
+   * <code>{transaction: true, changes: [{model: ..., hint: ..., records: ...}, ...]}</code>
+   * and all the change records.
+   *
+   * <p>Transactions can be nested: notifications are only delivered when the
+   * outermost one ends. If the function throws, the changes already made are
+   * kept, so the pending notifications are delivered anyway before the
+   * exception is propagated.</p>
+   *
+   * @example
+   * Fronty.Model.transaction(() => {
+   *   cart.set(() => cart.items.push(product));
+   *   stock.set(() => stock.units--);
+   * }); // observers of cart and stock are notified here, once
+   *
+   * @param {Function} updater The function making the changes.
+   * @return The value returned by the updater function.
+   */
+  static transaction(updater) {
+    Model._transactionDepth++;
+    try {
+      return updater();
+    } finally {
+      Model._transactionDepth--;
+      if (Model._transactionDepth === 0) {
+        Model._flushNotifications();
+      }
+    }
+  }
+
+  static _deferNotification(model, hint, changes) {
+    for (let i = 0; i < model.observers.length; i++) {
+      let observer = model.observers[i];
+      let pending = null;
+      for (let j = 0; j < Model._pendingNotifications.length && pending === null; j++) {
+        if (Model._pendingNotifications[j].observer === observer) {
+          pending = Model._pendingNotifications[j];
+        }
+      }
+      if (pending === null) {
+        pending = {
+          observer: observer,
+          changes: []
+        };
+        Model._pendingNotifications.push(pending);
+      }
+      pending.changes.push({
+        model: model,
+        hint: hint,
+        records: model._observerChanges(observer, changes)
+      });
+    }
+  }
+
+  static _flushNotifications() {
+    let pendingNotifications = new Map();
+    Model._pendingNotifications.forEach((pending) => pendingNotifications.set(pending.observer, pending));
+    Model._pendingNotifications = [];
+    let errors = [];
+
+    Model._notificationScheduler(Array.from(pendingNotifications.keys()), (observer) => {
+      let pending = pendingNotifications.get(observer);
+      // skip observers removed from their models during the transaction, or
+      // not interested in the changes
+      let changes = pending.changes.filter(
+        (change) => change.model.observers.indexOf(pending.observer) !== -1 &&
+        change.model._isAffectedObserver(pending.observer, change.records));
+
+      if (changes.length === 1) {
+        Model._invokeObserver(pending.observer, changes[0].model, changes[0].hint, changes[0].records,
+          errors);
+      } else if (changes.length > 1) {
+        let records = changes.some((change) => change.records === undefined) ? undefined :
+          [].concat.apply([], changes.map((change) => change.records));
+        Model._invokeObserver(pending.observer, changes[0].model, {
+          transaction: true,
+          changes: changes
+        }, records, errors);
+      }
+    });
+    Model._reportErrors(errors);
+  }
+
+  static _notifyInOrder(observers, notify) {
+    observers.forEach(notify);
+  }
+
+  //// leak detection "private" methods
+
+  _checkLeaks() {
+    let leaks = this.findLeakedObservers();
+    if (Model._leakDetection.autoCleanup) {
+      leaks.forEach((leak) => {
+        leak.component.stop();
+        this.removeObserver(leak.observer);
+      });
+      return;
+    }
+    let warned = Model._leakDetection.warned;
+    leaks = leaks.filter((leak) => !warned.has(leak.component));
+    if (leaks.length > 0) {
+      leaks.forEach((leak) => warned.add(leak.component));
+      console.warn('Fronty: model [' + this.name + '] has ' + leaks.length +
+        ' observer(s) of components no longer in the document (' +
+        leaks.map((leak) => '#' + leak.component.getHtmlNodeId()).join(', ') +
+        '). Stop these components, or enable the auto-cleanup of leaks.');
+    }
+  }
+
+  //// observer errors "private" methods
+
+  // invokes an observer, collecting the error it may throw
+  static _invokeObserver(observer, model, hint, changes, errors) {
+    try {
+      observer(model, hint, changes);
+    } catch (error) {
+      errors.push({
+        error: error,
+        context: {
+          model: model,
+          modelName: model.name,
+          observer: observer,
+          component: observer.component,
+          hint: hint
+        }
+      });
+    }
+  }
+
+  static _reportErrors(errors) {
+    errors.forEach((failure) => Model._errorHandler(failure.error, failure.context));
+  }
+
+  static _logError(error, context) {
+    if (context.model === undefined) {
+      console.error('Fronty: ' + (context.component ? 'the render of component ' +
+        context.component.getHtmlNodeId() : 'a scheduled render') + ' failed', error);
+      return;
+    }
+    console.error('Fronty: an observer of model [' + context.modelName + '] failed' +
+      (context.component ? ' (component ' + context.component.getHtmlNodeId() + ')' : ''), error);
+  }
+
+  /**
+   * Adds a computed property to this Model.<br>
+   *
+   * A computed property is a read-only property whose value is derived from
+   * other properties. The compute function is called lazily, the first time
+   * the property is read, and its result is cached until one of the properties
+   * it read changes. Dependencies are discovered automatically while computing,
+   * so they must be read through the Model passed to the function (or
+   * <code>this</code>), not through variables captured in a closure.
+   *
+   * <p>Computed properties are own and enumerable properties of this Model, so
+   * they reach {@link ModelComponent} renderer functions like any other field.</p>
+   *
+   * <p>If the compute function reads other Models (for example, a Model stored
+   * in a property of this one), this Model observes them and notifies its own
+   * observers only when the computed value actually changes.</p>
+   *
+   * @example
+   * class TodoList extends Fronty.Model {
+   *   constructor() {
+   *     super('todolist');
+   *     this.items = [];
+   *     this.addComputed('remaining',
+   *       (m) => m.items.filter((item) => !item.done).length);
+   *   }
+   * }
+   *
+   * @param {String} name The name of the property.
+   * @param {Function} compute The function computing the value. It receives this
+   *        Model as parameter, which is also bound to <code>this</code>.
+   * @param {Function} [equals] A function receiving the previous and the new
+   *        value and returning whether they are equal. By default, values are
+   *        compared with <code>===</code>.
+   */
+  addComputed(name, compute, equals) {
+    let computed = {
+      name: name,
+      compute: compute,
+      equals: equals ? equals : (a, b) => a === b,
+      evaluated: false,
+      value: undefined,
+      dependencies: [],
+      foreignModels: []
+    };
+    computed.foreignObserver = () => this._onComputedDependencyChanged(computed);
+
+    this._computed[name] = computed;
+
+    Object.defineProperty(this, name, {
+      get: () => this._getComputedValue(computed),
+      enumerable: true,
+      configurable: true
+    });
+  }
+
+  // computed properties "private" methods
+
+  _getComputedValue(computed) {
+    if (!computed.evaluated || Model._isComputedStale(computed)) {
+      this._evaluateComputed(computed);
+    }
+    return computed.value;
+  }
+
+  _evaluateComputed(computed) {
+    let result = Model._trackDependencies(this, computed.compute);
+
+    computed.value = result.value;
+    computed.dependencies = result.dependencies;
+    computed.evaluated = true;
+
+    // observe the other models this computed property depends on
+    let foreignModels = [];
+    for (let i = 0; i < result.dependencies.length; i++) {
+      let owner = result.dependencies[i].owner;
+      if (owner !== this && foreignModels.indexOf(owner) === -1) {
+        foreignModels.push(owner);
+      }
+    }
+    computed.foreignModels.forEach((model) => {
+      if (foreignModels.indexOf(model) === -1) {
+        model.removeObserver(computed.foreignObserver);
+      }
+    });
+    foreignModels.forEach((model) => {
+      if (computed.foreignModels.indexOf(model) === -1) {
+        model.addObserver(computed.foreignObserver);
+      }
+    });
+    computed.foreignModels = foreignModels;
+  }
+
+  _onComputedDependencyChanged(computed) {
+    if (!computed.evaluated || !Model._isComputedStale(computed)) {
+      return;
+    }
+    let previousValue = computed.value;
+    this._evaluateComputed(computed);
+
+    if (!computed.equals(previousValue, computed.value)) {
+      this.notifyObservers({
+        computed: computed.name,
+        previousValue: previousValue,
+        value: computed.value
+      }, [{
+        model: this,
+        path: computed.name,
+        oldValue: previousValue,
+        newValue: computed.value
+      }]);
+    }
+  }
+
+  static _isComputedStale(computed) {
+    return Model._dependenciesChanged(computed.dependencies);
+  }
+
+  // whether any of the reads recorded by a tracker (see Model._createTracker)
+  // would give a different result now
+  static _dependenciesChanged(dependencies) {
+    for (let i = 0; i < dependencies.length; i++) {
+      let dependency = dependencies[i];
+      let current = Model._resolvePath(dependency.owner, dependency.path);
+
+      if (dependency.keys !== undefined) {
+        if (current === null || typeof current !== 'object' ||
+          Object.keys(current).join('\u0000') !== dependency.keys) {
+          return true;
+        }
+      } else if (!Object.is(current, dependency.value)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  static _resolvePath(object, path) {
+    let current = object;
+    for (let i = 0; i < path.length; i++) {
+      if (current === null || current === undefined) {
+        return undefined;
+      }
+      current = current[path[i]];
+    }
+    return current;
+  }
+
+  // Only arrays, plain objects and Models are traversed. Other objects (Date,
+  // Map, DOM nodes...) rely on internal slots that do not work behind a Proxy,
+  // so they are compared by reference.
+  static _isTraversable(value) {
+    if (value === null || typeof value !== 'object') {
+      return false;
+    }
+    let prototype = Object.getPrototypeOf(value);
+    return Array.isArray(value) || value instanceof Model ||
+      prototype === Object.prototype || prototype === null;
+  }
+
+  /*
+   * Calls compute(model) recording its dependencies (see Model._createTracker).
+   * Objects returned by the compute function are stripped from the tracking
+   * proxies.
+   */
+  static _trackDependencies(model, compute) {
+    let tracker = Model._createTracker();
+    let result;
+    try {
+      let proxy = tracker.wrap(model);
+      result = compute.call(proxy, proxy);
+    } finally {
+      tracker.stop();
+    }
+
+    return {
+      value: tracker.unwrap(result),
+      dependencies: tracker.dependencies
+    };
+  }
+
+  /*
+   * Creates a tracker, which wraps Models in proxies recording every property
+   * read through them, as a path relative to the closest Model it was read
+   * from, along with the value read. Reading the keys of an object (e.g.:
+   * Object.keys) is recorded as well. The tracker records until stop() is
+   * called.
+   */
+  static _createTracker() {
+    let proxies = new WeakMap();
+    let targets = new WeakMap();
+    let tracker = {
+      dependencies: [],
+      tracking: true
+    };
+
+    let wrap = (target, owner, path) => {
+      if (proxies.has(target)) {
+        return proxies.get(target);
+      }
+      let proxy = new Proxy(target, {
+        get: (object, property, receiver) => {
+          let value = Reflect.get(object, property, receiver);
+          if (!tracker.tracking || typeof property === 'symbol' || typeof value === 'function') {
+            return value;
+          }
+          tracker.dependencies.push({
+            owner: owner,
+            path: path.concat(property),
+            value: value
+          });
+          if (!Model._isTraversable(value)) {
+            return value;
+          }
+          // proxies must return the real value of read-only properties
+          let descriptor = Object.getOwnPropertyDescriptor(object, property);
+          if (descriptor && !descriptor.configurable && !descriptor.writable) {
+            return value;
+          }
+          return (value instanceof Model) ?
+            wrap(value, value, []) : wrap(value, owner, path.concat(property));
+        },
+        ownKeys: (object) => {
+          if (tracker.tracking) {
+            tracker.dependencies.push({
+              owner: owner,
+              path: path,
+              keys: Object.keys(object).join('\u0000')
+            });
+          }
+          return Reflect.ownKeys(object);
+        }
+      });
+      proxies.set(target, proxy);
+      targets.set(proxy, target);
+      return proxy;
+    };
+
+    let visited = [];
+    let unwrap = (value) => {
+      if (value === null || typeof value !== 'object') {
+        return value;
+      }
+      if (targets.has(value)) {
+        return targets.get(value);
+      }
+      if (visited.indexOf(value) === -1 && Model._isTraversable(value)) {
+        // a new object created while tracking, which may contain proxies
+        visited.push(value);
+        Object.keys(value).forEach((key) => {
+          let unwrapped = unwrap(value[key]);
+          if (unwrapped !== value[key]) {
+            value[key] = unwrapped;
+          }
+        });
+      }
+      return value;
+    };
+
+    tracker.wrap = (model) => wrap(model, model, []);
+    tracker.unwrap = unwrap;
+    tracker.stop = () => tracker.tracking = false;
+    return tracker;
+  }
+
+  //// schema
+
+  /**
+   * Declares the fields of this Model, with their types, default values and
+   * validation rules.<br>
+   *
+   * Subclasses can also declare their schema in a static
+   * <code>schema</code> property, which is applied by the constructor. Their
+   * fields are coerced and validated on the first access to
+   * {@link Model#errors|errors} (or {@link Model#isValid|isValid()}), so
+   * the fields assigned by subclass constructors are taken into account.
+   *
+   * <p>Fields without value get their default value. After every call to
+   * {@link Model#set|set()}, the values of the fields are coerced to their
+   * types when possible (e.g.: the string <code>'42'</code> to the number 42,
+   * or an ISO string to a Date, as they come from forms) and validated. The
+   * {@link Model#errors|errors} property holds the error messages of
+   * the invalid fields, so templates can show them directly. Empty values
+   * (<code>undefined</code>, <code>null</code> or <code>''</code>) only
+   * break the <code>required</code> rule.</p>
+   *
+   * @example
+   * class Person extends Fronty.Model {
+   *   constructor() {
+   *     super('person');
+   *   }
+   * }
+   * Person.schema = {
+   *   fullName: {type: 'string', required: true, max: 50},
+   *   age: {type: 'number', min: 0, default: 18},
+   *   email: {type: 'string', pattern: /^\S+@\S+$/, messages: {pattern: 'invalid email'}},
+   *   birth: {type: 'date', validate: (value) => value < new Date() || 'must be in the past'}
+   * };
+   *
+   * @param {Object.<String, Object>} schema The fields, arranged by name. Each
+   *        field can have: <code>type</code> ('string', 'number', 'boolean',
+   *        'date', 'array' or 'object'), <code>default</code> (a value, or a
+   *        function returning it), <code>required</code>, <code>min</code> and
+   *        <code>max</code> (the minimum and maximum value of numbers and
+   *        dates, or length of strings and arrays), <code>pattern</code> (a
+   *        RegExp for strings), <code>validate</code> (a function receiving
+   *        the value and this Model, and returning true or an error message) and
+   *        <code>messages</code> (custom error messages, arranged by rule).
+   */
+  defineSchema(schema) {
+    this._applySchema(schema);
+    this.validate();
+  }
+
+  /**
+   * Coerces and validates the fields of this Model against its schema,
+   * updating {@link Model#errors|errors}. It is called after every
+   * {@link Model#set|set()}, {@link Model#undo|undo()} and
+   * {@link Model#redo|redo()}, so it is only needed after changes made
+   * outside them.
+   *
+   * @return {Boolean} Whether all the fields are valid.
+   */
+  validate() {
+    if (this._schema === null) {
+      return true;
+    }
+    let errors = {};
+    Object.keys(this._schema).forEach((field) => {
+      let rules = this._schema[field];
+      let value = Model._coerce(this[field], rules.type);
+      if (value !== this[field]) {
+        this[field] = value;
+      }
+      let rule = Model._brokenRule(value, rules, this);
+      if (rule !== null) {
+        let messages = rules.messages ? rules.messages : {};
+        errors[field] = messages[rule.name] ? messages[rule.name] : rule.message;
+      }
+    });
+    if (this._validationPending) {
+      // replace the property validating on first access (see the constructor)
+      this._validationPending = false;
+      delete this.errors;
+    }
+    /**
+     * The error messages of the invalid fields, arranged by field name, if
+     * this Model has a schema (see {@link Model#defineSchema|defineSchema()}).
+     *
+     * @name Model#errors
+     * @type {Object.<String, String>}
+     */
+    this.errors = errors;
+    return this.isValid();
+  }
+
+  /**
+   * Whether the fields of this Model are valid according to its schema.
+   *
+   * @return {Boolean} true if {@link Model#errors|errors} is empty.
+   */
+  isValid() {
+    return this._schema === null || Object.keys(this.errors).length === 0;
+  }
+
+  // schema "private" methods
+
+  // declares the fields, giving their default values to the fields without
+  // value
+  _applySchema(schema) {
+    this._schema = schema;
+    Object.keys(schema).forEach((field) => {
+      if (this[field] === undefined && schema[field].hasOwnProperty('default')) {
+        let defaultValue = schema[field].default;
+        this[field] = typeof defaultValue === 'function' ? defaultValue() : Model._cloneState(defaultValue);
+      }
+    });
+  }
+
+  static _isEmpty(value) {
+    return value === undefined || value === null || value === '';
+  }
+
+  // converts the value to the type, if possible
+  static _coerce(value, type) {
+    if (Model._isEmpty(value)) {
+      return value === '' && (type === 'number' || type === 'date') ? null : value;
+    }
+    switch (type) {
+      case 'number':
+        if (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) {
+          return Number(value);
+        }
+        break;
+      case 'date':
+        if (typeof value === 'string' || typeof value === 'number') {
+          let date = new Date(value);
+          return isNaN(date.getTime()) ? value : date;
+        }
+        break;
+      case 'string':
+        if (typeof value === 'number' || typeof value === 'boolean') {
+          return String(value);
+        }
+        break;
+      case 'boolean':
+        if (value === 'true' || value === 'false') {
+          return value === 'true';
+        }
+        break;
+    }
+    return value;
+  }
+
+  // returns the first rule not satisfied by the value, as {name, message}, or null
+  static _brokenRule(value, rules, model) {
+    if (Model._isEmpty(value)) {
+      return rules.required ? {
+        name: 'required',
+        message: 'is required'
+      } : null;
+    }
+    if (rules.type && !Model._hasType(value, rules.type)) {
+      return {
+        name: 'type',
+        message: 'must be a ' + rules.type
+      };
+    }
+    let size = typeof value === 'string' || Array.isArray(value) ? value.length :
+      (value instanceof Date ? value.getTime() : value);
+    let limit = (bound) => bound instanceof Date ? bound.getTime() : bound;
+    let description = (bound) => (typeof value === 'string' || Array.isArray(value)) ?
+      bound + (typeof value === 'string' ? ' characters' : ' items') : String(bound);
+    if (rules.min !== undefined && size < limit(rules.min)) {
+      return {
+        name: 'min',
+        message: 'must be at least ' + description(rules.min)
+      };
+    }
+    if (rules.max !== undefined && size > limit(rules.max)) {
+      return {
+        name: 'max',
+        message: 'must be at most ' + description(rules.max)
+      };
+    }
+    if (rules.pattern && typeof value === 'string' && !rules.pattern.test(value)) {
+      return {
+        name: 'pattern',
+        message: 'is not valid'
+      };
+    }
+    if (rules.validate) {
+      let result = rules.validate(value, model);
+      if (result !== true && result !== undefined && result !== null) {
+        return {
+          name: 'validate',
+          message: typeof result === 'string' ? result : 'is not valid'
+        };
+      }
+    }
+    return null;
+  }
+
+  static _hasType(value, type) {
+    switch (type) {
+      case 'date':
+        return value instanceof Date && !isNaN(value.getTime());
+      case 'array':
+        return Array.isArray(value);
+      case 'object':
+        return typeof value === 'object' && !Array.isArray(value);
+      case 'number':
+        return typeof value === 'number' && !isNaN(value);
+      default:
+        return typeof value === type;
+    }
+  }
+
+  //// undo/redo history
+
+  /**
+   * Enables the undo/redo history of this Model.<br>
+   *
+   * Once enabled, the state of this Model is recorded before each call to
+   * {@link Model#set|set()}, so it can be restored later with
+   * {@link Model#undo|undo()} and {@link Model#redo|redo()}. The state
+   * is a deep copy of the arrays and plain objects held in this Model's
+   * properties. Other Models and objects are kept by reference.
+   *
+   * <p>By default, all the own properties are recorded, except functions,
+   * computed properties, <code>observers</code>, <code>name</code> and those
+   * whose name starts with an underscore.</p>
+   *
+   * @example
+   * var editor = new Fronty.Model('editor');
+   * editor.text = '';
+   * editor.enableHistory({depth: 50});
+   * editor.set(() => editor.text = 'Hello');
+   * editor.undo(); // editor.text is '' again
+   *
+   * @param {Object} [options] The history options.
+   * @param {Number} [options.depth=100] The maximum number of undo steps kept.
+   * @param {Array.<String>} [options.properties] The properties to record. By
+   *        default, all the data properties are recorded.
+   */
+  enableHistory(options) {
+    options = options ? options : {};
+    this._history = {
+      depth: options.depth !== undefined ? options.depth : 100,
+      properties: options.properties ? options.properties : null,
+      undoStack: [],
+      redoStack: [],
+      groupDepth: 0,
+      groupHint: undefined,
+      groupRecorded: false
+    };
+  }
+
+  /**
+   * Disables the undo/redo history of this Model, discarding it.
+   */
+  disableHistory() {
+    this._history = null;
+  }
+
+  /**
+   * Discards all the undo and redo steps of this Model.
+   */
+  clearHistory() {
+    if (this._history !== null) {
+      this._history.undoStack = [];
+      this._history.redoStack = [];
+    }
+  }
+
+  /**
+   * Runs a function making several {@link Model#set|set()} calls on this Model
+   * and records all of them as a single undo step.<br>
+   *
+   * Groups can be nested: the undo step ends with the outermost group.
+   *
+   * @param {Function} updater The function making the changes.
+   * @param {Object} [hint] The hint of the undo step. By default, it is the
+   *        hint of the first set() call of the group.
+   */
+  groupHistory(updater, hint) {
+    let history = this._history;
+    if (history === null) {
+      updater(this);
+      return;
+    }
+    if (history.groupDepth === 0) {
+      history.groupRecorded = false;
+      history.groupHint = hint;
+    }
+    history.groupDepth++;
+    try {
+      updater(this);
+    } finally {
+      history.groupDepth--;
+    }
+  }
+
+  /**
+   * Whether there are steps to undo.
+   *
+   * @return {Boolean} true if {@link Model#undo|undo()} can be called.
+   */
+  canUndo() {
+    return this._history !== null && this._history.undoStack.length > 0;
+  }
+
+  /**
+   * Whether there are undone steps to redo.
+   *
+   * @return {Boolean} true if {@link Model#redo|redo()} can be called.
+   */
+  canRedo() {
+    return this._history !== null && this._history.redoStack.length > 0;
+  }
+
+  /**
+   * Restores the state of this Model before the last recorded step and
+   * notifies observers with the hint
+   * <code>{history: 'undo', hint: &lt;the hint of the undone step&gt;}</code>.
+   *
+   * @return {Boolean} true if a step has been undone.
+   */
+  undo() {
+    if (!this.canUndo()) {
+      return false;
+    }
+    let step = this._history.undoStack.pop();
+    let changesSnapshot = this._observerPaths.size > 0 ? this._takeChangesSnapshot() : null;
+    let patchSnapshot = this._takePatchSnapshot();
+    this._history.redoStack.push({
+      state: this._takeSnapshot(this._historyProperties()),
+      hint: step.hint
+    });
+    this._restoreSnapshot(step.state, this._historyProperties());
+    if (this._schema !== null) {
+      this.validate();
+    }
+    let hint = {
+      history: 'undo',
+      hint: step.hint
+    };
+    this.notifyObservers(hint, changesSnapshot !== null ? this._computeChanges(changesSnapshot) : undefined);
+    if (patchSnapshot !== null) {
+      this._notifyPatch(patchSnapshot, hint);
+    }
+    return true;
+  }
+
+  /**
+   * Restores the state of this Model undone by the last call to
+   * {@link Model#undo|undo()} and notifies observers with the hint
+   * <code>{history: 'redo', hint: &lt;the hint of the redone step&gt;}</code>.
+   *
+   * @return {Boolean} true if a step has been redone.
+   */
+  redo() {
+    if (!this.canRedo()) {
+      return false;
+    }
+    let step = this._history.redoStack.pop();
+    let changesSnapshot = this._observerPaths.size > 0 ? this._takeChangesSnapshot() : null;
+    let patchSnapshot = this._takePatchSnapshot();
+    this._pushUndoStep({
+      state: this._takeSnapshot(this._historyProperties()),
+      hint: step.hint
+    });
+    this._restoreSnapshot(step.state, this._historyProperties());
+    if (this._schema !== null) {
+      this.validate();
+    }
+    let hint = {
+      history: 'redo',
+      hint: step.hint
+    };
+    this.notifyObservers(hint, changesSnapshot !== null ? this._computeChanges(changesSnapshot) : undefined);
+    if (patchSnapshot !== null) {
+      this._notifyPatch(patchSnapshot, hint);
+    }
+    return true;
+  }
+
+  // asynchronous updates "private" methods
+
+  _setAsyncStatus(property, status, data, error) {
+    this.set(() => this[property] = {
+      status: status,
+      data: data,
+      error: error
+    }, {
+      async: property,
+      status: status
+    });
+  }
+
+  // middlewares "private" methods
+
+  _setThroughMiddlewares(middlewares, updater, hint) {
+    let updated = false;
+    let undoStep = null;
+    let changesSnapshot = null;
+    let before = null;
+    let context = {
+      model: this,
+      updater: updater,
+      hint: hint,
+      cancelled: false,
+      rollback: () => {
+        if (context.cancelled) {
+          return;
+        }
+        context.cancelled = true;
+        if (updated) {
+          this._restoreSnapshot(before, this._stateProperties());
+        }
+      }
+    };
+    // copied when first read or, at the latest, before the updater runs, so
+    // vetoed changes are not copied
+    Object.defineProperty(context, 'before', {
+      enumerable: true,
+      get: () => {
+        if (before === null) {
+          before = this._takeSnapshot(this._stateProperties());
+        }
+        return before;
+      }
+    });
+
+    let run = (index) => {
+      if (index < middlewares.length) {
+        let called = false;
+        middlewares[index](context, () => {
+          if (called) {
+            throw new Error('next() called more than once by a Model middleware');
+          }
+          called = true;
+          if (!context.cancelled) {
+            run(index + 1);
+          }
+        });
+        return;
+      }
+      if (before === null) {
+        before = this._takeSnapshot(this._stateProperties());
+      }
+      if (this._history !== null) {
+        // recorded once the middlewares have not rolled back the change
+        undoStep = this._takeUndoStep(context.hint);
+      }
+      changesSnapshot = this._observerPaths.size > 0 ? this._takeChangesSnapshot() : null;
+      updated = true;
+      context.updater(this);
+      if (this._schema !== null) {
+        this.validate();
+      }
+    };
+
+    try {
+      run(0);
+    } catch (e) {
+      context.rollback();
+      throw e;
+    }
+
+    if (updated && !context.cancelled) {
+      this._recordUndoStep(undoStep);
+      this.notifyObservers(context.hint,
+        changesSnapshot !== null ? this._computeChanges(changesSnapshot) : undefined);
+      if (this._patchListeners.length > 0) {
+        this._notifyPatch(before, context.hint);
+      }
+    }
+  }
+
+  // history "private" methods
+
+  // the undo step of a change about to be made, or null if the current group
+  // already recorded its step
+  _takeUndoStep(hint) {
+    let history = this._history;
+    if (history.groupDepth > 0) {
+      if (history.groupRecorded) {
+        return null;
+      }
+      hint = history.groupHint !== undefined ? history.groupHint : hint;
+    }
+    return {
+      state: this._takeSnapshot(this._historyProperties()),
+      hint: hint
+    };
+  }
+
+  // records the undo step of a change once it has been made
+  _recordUndoStep(step) {
+    if (step === null || this._history === null) {
+      return;
+    }
+    let history = this._history;
+    if (history.groupDepth > 0) {
+      history.groupRecorded = true;
+    }
+    this._pushUndoStep(step);
+    history.redoStack = [];
+  }
+
+  _pushUndoStep(step) {
+    let history = this._history;
+    history.undoStack.push(step);
+    if (history.undoStack.length > history.depth) {
+      history.undoStack.splice(0, history.undoStack.length - history.depth);
+    }
+  }
+
+  _historyProperties() {
+    return this._history.properties !== null ? this._history.properties : this._stateProperties();
+  }
+
+  // restores the given snapshot, deleting the given properties not included in it
+  _restoreSnapshot(snapshot, properties) {
+    properties.forEach((key) => {
+      if (!snapshot.hasOwnProperty(key)) {
+        delete this[key];
+      }
+    });
+    Object.keys(snapshot).forEach((key) => {
+      // clone again: the snapshot may be restored more than once
+      this[key] = Model._cloneState(snapshot[key]);
+    });
+  }
+
+  //// JSON patches "private" methods
+
+  // the state to compute the next patch from, if there are patch listeners
+  _takePatchSnapshot() {
+    return this._patchListeners.length > 0 ? this._takeSnapshot(this._stateProperties()) : null;
+  }
+
+  _notifyPatch(snapshot, hint) {
+    let patch = [];
+    Model._diffPatch('', snapshot, this._takeSnapshot(this._stateProperties()), patch);
+    if (patch.length > 0) {
+      this._patchListeners.slice().forEach((listener) => listener(patch, this, hint));
+    }
+  }
+
+  // Adds to patch the operations transforming before into after. Both are
+  // copies made with _cloneState, so they do not contain cycles.
+  static _diffPatch(path, before, after, patch) {
+    if (Object.is(before, after)) {
+      return;
+    }
+    if (before instanceof Date && after instanceof Date && before.getTime() === after.getTime()) {
+      return;
+    }
+    if (Model._isTraversable(before) && Model._isTraversable(after) &&
+      !(before instanceof Model) && !(after instanceof Model) &&
+      Array.isArray(before) === Array.isArray(after)) {
+      if (Array.isArray(before)) {
+        let common = Math.min(before.length, after.length);
+        for (let i = 0; i < common; i++) {
+          Model._diffPatch(path + '/' + i, before[i], after[i], patch);
+        }
+        for (let i = before.length - 1; i >= after.length; i--) {
+          patch.push({
+            op: 'remove',
+            path: path + '/' + i
+          });
+        }
+        for (let i = before.length; i < after.length; i++) {
+          patch.push({
+            op: 'add',
+            path: path + '/' + i,
+            value: after[i]
+          });
+        }
+        return;
+      }
+      Object.keys(before).forEach((key) => {
+        let keyPath = path + '/' + Model._escapePointerToken(key);
+        if (!after.hasOwnProperty(key)) {
+          patch.push({
+            op: 'remove',
+            path: keyPath
+          });
+        } else {
+          Model._diffPatch(keyPath, before[key], after[key], patch);
+        }
+      });
+      Object.keys(after).forEach((key) => {
+        if (!before.hasOwnProperty(key)) {
+          patch.push({
+            op: 'add',
+            path: path + '/' + Model._escapePointerToken(key),
+            value: after[key]
+          });
+        }
+      });
+      return;
+    }
+    patch.push({
+      op: 'replace',
+      path: path,
+      value: after
+    });
+  }
+
+  // the properties read or changed by the given patch
+  _patchedProperties(patch) {
+    let properties = [];
+    patch.forEach((operation) => {
+      [operation.path].concat(operation.op === 'move' || operation.op === 'copy' ? [operation.from] : [])
+        .forEach((pointer) => {
+          let tokens = Model._parsePointer(pointer);
+          let keys = tokens.length > 0 ? [tokens[0]] : this._stateProperties();
+          keys.forEach((key) => {
+            this._checkPatchedProperty(key);
+            if (properties.indexOf(key) === -1) {
+              properties.push(key);
+            }
+          });
+        });
+    });
+    return properties;
+  }
+
+  _checkPatchedProperty(key) {
+    if (this._isReservedProperty(key)) {
+      throw new Error('JSON patch: ' + key + ' is not a data property of the model');
+    }
+  }
+
+  // Copies a value like _cloneState(), but copying the state properties of
+  // nested Models too, so a patch can be tried on the copy
+  static _copyPatchDocument(value, copies) {
+    if (value === null || typeof value !== 'object' || value instanceof Date) {
+      return Model._cloneState(value);
+    }
+    let model = value instanceof Model;
+    let prototype = Object.getPrototypeOf(value);
+    if (!model && !Array.isArray(value) && prototype !== Object.prototype && prototype !== null) {
+      return value;
+    }
+    copies = copies ? copies : new Map();
+    if (copies.has(value)) {
+      return copies.get(value);
+    }
+    let copy = Array.isArray(value) ? [] : {};
+    copies.set(value, copy);
+    (model ? value._stateProperties() : Object.keys(value)).forEach((key) => {
+      copy[key] = Model._copyPatchDocument(value[key], copies);
+    });
+    return copy;
+  }
+
+  static _escapePointerToken(token) {
+    return String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+  }
+
+  static _parsePointer(pointer) {
+    if (pointer === '') {
+      return [];
+    }
+    if (typeof pointer !== 'string' || pointer.charAt(0) !== '/') {
+      throw new Error('JSON patch: invalid path ' + pointer);
+    }
+    return pointer.substr(1).split('/').map((token) => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+  }
+
+  // Returns the parent of the value at the given path, and its key in the parent
+  static _resolvePointer(document, pointer) {
+    let tokens = Model._parsePointer(pointer);
+    let parent = document;
+    for (let i = 0; i < tokens.length - 1; i++) {
+      if (parent === null || typeof parent !== 'object' || !parent.hasOwnProperty(tokens[i])) {
+        throw new Error('JSON patch: path not found ' + pointer);
+      }
+      parent = parent[tokens[i]];
+    }
+    if (parent === null || typeof parent !== 'object') {
+      throw new Error('JSON patch: path not found ' + pointer);
+    }
+    return {
+      parent: parent,
+      key: tokens[tokens.length - 1]
+    };
+  }
+
+  static _getPointerValue(document, pointer) {
+    if (pointer === '') {
+      return document;
+    }
+    let target = Model._resolvePointer(document, pointer);
+    if (!target.parent.hasOwnProperty(target.key)) {
+      throw new Error('JSON patch: path not found ' + pointer);
+    }
+    return target.parent[target.key];
+  }
+
+  static _arrayIndex(array, key, pointer, allowEnd) {
+    let index = key === '-' && allowEnd ? array.length : Number(key);
+    if (!/^(0|[1-9][0-9]*|-)$/.test(key) || isNaN(index) || index > (allowEnd ? array.length : array.length - 1)) {
+      throw new Error('JSON patch: invalid array index ' + pointer);
+    }
+    return index;
+  }
+
+  static _addPointerValue(document, pointer, value) {
+    if (pointer === '') {
+      return value;
+    }
+    let target = Model._resolvePointer(document, pointer);
+    if (Array.isArray(target.parent)) {
+      target.parent.splice(Model._arrayIndex(target.parent, target.key, pointer, true), 0, value);
+    } else {
+      target.parent[target.key] = value;
+    }
+    return document;
+  }
+
+  static _removePointerValue(document, pointer) {
+    let target = Model._resolvePointer(document, pointer);
+    if (Array.isArray(target.parent)) {
+      target.parent.splice(Model._arrayIndex(target.parent, target.key, pointer, false), 1);
+    } else if (target.parent.hasOwnProperty(target.key)) {
+      delete target.parent[target.key];
+    } else {
+      throw new Error('JSON patch: path not found ' + pointer);
+    }
+    return document;
+  }
+
+  // applies an operation to the document, returning the resulting document
+  static _applyPatchOperation(document, operation) {
+    let value;
+    switch (operation.op) {
+      case 'add':
+        return Model._addPointerValue(document, operation.path, Model._cloneState(operation.value));
+      case 'remove':
+        if (operation.path === '') {
+          throw new Error('JSON patch: the whole model cannot be removed');
+        }
+        return Model._removePointerValue(document, operation.path);
+      case 'replace':
+        if (operation.path === '') {
+          return Model._cloneState(operation.value);
+        }
+        Model._removePointerValue(document, operation.path);
+        return Model._addPointerValue(document, operation.path, Model._cloneState(operation.value));
+      case 'move':
+        if (operation.path.indexOf(operation.from + '/') === 0) {
+          throw new Error('JSON patch: cannot move ' + operation.from + ' into itself');
+        }
+        value = Model._getPointerValue(document, operation.from);
+        Model._removePointerValue(document, operation.from);
+        return Model._addPointerValue(document, operation.path, value);
+      case 'copy':
+        value = Model._getPointerValue(document, operation.from);
+        return Model._addPointerValue(document, operation.path, Model._cloneState(value));
+      case 'test':
+        value = Model._getPointerValue(document, operation.path);
+        if (!Model._jsonEquals(value, operation.value)) {
+          throw new Error('JSON patch: test failed at ' + operation.path);
+        }
+        return document;
+      default:
+        throw new Error('JSON patch: invalid operation ' + operation.op);
+    }
+  }
+
+  static _jsonEquals(a, b) {
+    if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object') {
+      return a === b;
+    }
+    if (Array.isArray(a) !== Array.isArray(b)) {
+      return false;
+    }
+    let keys = Object.keys(a);
+    return keys.length === Object.keys(b).length &&
+      keys.every((key) => b.hasOwnProperty(key) && Model._jsonEquals(a[key], b[key]));
+  }
+
+  //// state snapshots and changes "private" methods
+
+  // The properties holding the state of this Model: all own properties except
+  // functions, computed properties, observers, name, schema errors and
+  // "private" ones.
+  _stateProperties() {
+    return Object.keys(this).filter((key) => !this._isReservedProperty(key));
+  }
+
+  _isReservedProperty(key) {
+    return key === 'observers' || key === 'name' || key.charAt(0) === '_' ||
+      this._computed[key] !== undefined || typeof this[key] === 'function' ||
+      (key === 'errors' && this._schema !== null);
+  }
+
+  _takeSnapshot(properties) {
+    let snapshot = {};
+    properties.forEach((key) => {
+      if (this.hasOwnProperty(key)) {
+        snapshot[key] = Model._cloneState(this[key]);
+      }
+    });
+    return snapshot;
+  }
+
+  // A snapshot to compute changes afterwards, including the values of the
+  // computed properties already evaluated. Only the values under the paths
+  // observed are copied (see _observedPrefixes()).
+  _takeChangesSnapshot() {
+    let computed = {};
+    Object.keys(this._computed).forEach((name) => {
+      if (this._computed[name].evaluated) {
+        computed[name] = this[name];
+      }
+    });
+    let prefixes = this._observedPrefixes();
+    return {
+      state: prefixes === null ? this._takeSnapshot(this._stateProperties()) : null,
+      prefixes: prefixes,
+      values: prefixes === null ? null : prefixes.map((prefix) => Model._cloneState(this._stateValue(prefix))),
+      computed: computed
+    };
+  }
+
+  _computeChanges(snapshot) {
+    let changes = [];
+    if (snapshot.prefixes === null) {
+      let state = snapshot.state;
+      let current = {};
+      this._stateProperties().forEach((key) => current[key] = this[key]);
+      Object.keys(state).concat(Object.keys(current)).forEach((key, index, keys) => {
+        if (keys.indexOf(key) === index) {
+          Model._diffState(this, [key], state[key], current[key], changes, []);
+        }
+      });
+    } else {
+      snapshot.prefixes.forEach((prefix, i) => Model._diffState(this, prefix, snapshot.values[i],
+        this._stateValue(prefix), changes, []));
+    }
+
+    Object.keys(snapshot.computed).forEach((name) => {
+      let computed = this._computed[name];
+      let value = this[name];
+      if (computed !== undefined && !computed.equals(snapshot.computed[name], value)) {
+        changes.push({
+          model: this,
+          path: name,
+          oldValue: snapshot.computed[name],
+          newValue: value
+        });
+      }
+    });
+    return changes;
+  }
+
+  // The paths whose values may change what the path observers are notified
+  // of: the observed paths up to their first '*', without nested ones. Null
+  // if the whole state is observed.
+  _observedPrefixes() {
+    let prefixes = [];
+    this._observerPaths.forEach((patterns) => patterns.forEach((pattern) => {
+      let wildcard = pattern.indexOf('*');
+      prefixes.push(wildcard === -1 ? pattern : pattern.slice(0, wildcard));
+    }));
+    if (prefixes.some((prefix) => prefix.length === 0)) {
+      return null;
+    }
+    return prefixes.filter((prefix, i) => !prefixes.some((other, j) => other.length <= prefix.length &&
+      (other.length < prefix.length || j < i) && Model._pathsOverlap(other, prefix)));
+  }
+
+  // the value at a path of the state, which is undefined if it goes through
+  // properties which are not data
+  _stateValue(path) {
+    return this._isReservedProperty(path[0]) ? undefined : Model._resolvePath(this, path);
+  }
+
+  // the changes given to an observer: only observers with a path receive them,
+  // since they only cover the paths observed
+  _observerChanges(observer, changes) {
+    return this._observerPaths.has(observer) ? changes : undefined;
+  }
+
+  _isAffectedObserver(observer, changes) {
+    let patterns = this._observerPaths.get(observer);
+    if (patterns === undefined || changes === undefined) {
+      return true;
+    }
+    return changes.some((change) => patterns.some(
+      (pattern) => Model._pathsOverlap(pattern, change.path.split('.'))));
+  }
+
+  // Whether one path is a prefix of the other, i.e., a change in one of them
+  // may affect the other. Patterns may contain '*' segments.
+  static _pathsOverlap(pattern, path) {
+    for (let i = 0; i < pattern.length && i < path.length; i++) {
+      if (pattern[i] !== '*' && path[i] !== '*' && pattern[i] !== String(path[i])) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  // Compares a cloned value (before) with the current one (after), pushing
+  // change records of the most specific paths that differ.
+  static _diffState(model, path, before, after, changes, visited) {
+    if (Object.is(before, after)) {
+      return;
+    }
+    if (before instanceof Date && after instanceof Date && before.getTime() === after.getTime()) {
+      return;
+    }
+    if (Model._isTraversable(before) && Model._isTraversable(after) &&
+      !(before instanceof Model) && !(after instanceof Model) &&
+      Array.isArray(before) === Array.isArray(after)) {
+      if (visited.indexOf(after) !== -1) {
+        return;
+      }
+      visited.push(after);
+      let keys = Object.keys(before);
+      Object.keys(after).forEach((key) => {
+        if (!before.hasOwnProperty(key)) {
+          keys.push(key);
+        }
+      });
+      keys.forEach((key) => Model._diffState(model, path.concat(key), before[key], after[key], changes, visited));
+      if (Array.isArray(before) && before.length !== after.length) {
+        changes.push({
+          model: model,
+          path: path.concat('length').join('.'),
+          oldValue: before.length,
+          newValue: after.length
+        });
+      }
+      return;
+    }
+    changes.push({
+      model: model,
+      path: path.join('.'),
+      oldValue: before,
+      newValue: after
+    });
+  }
+
+  // Deep copies arrays, plain objects and dates. Models and other objects are
+  // copied by reference.
+  static _cloneState(value, clones) {
+    if (value === null || typeof value !== 'object') {
+      return value;
+    }
+    if (value instanceof Date) {
+      return new Date(value.getTime());
+    }
+    let prototype = Object.getPrototypeOf(value);
+    if (!Array.isArray(value) && prototype !== Object.prototype && prototype !== null) {
+      return value;
+    }
+    clones = clones ? clones : new Map();
+    if (clones.has(value)) {
+      return clones.get(value);
+    }
+    let clone = Array.isArray(value) ? [] : Object.create(prototype);
+    clones.set(value, clone);
+    Object.keys(value).forEach((key) => {
+      clone[key] = Model._cloneState(value[key], clones);
+    });
+    return clone;
+  }
+}
+/**
+ * The status of an asynchronous operation not finished yet (see
+ * {@link Model#setAsync}).
+ * @type {String}
+ */
+Model.ASYNC_PENDING = 'pending';
+/**
+ * The status of a successful asynchronous operation.
+ * @type {String}
+ */
+Model.ASYNC_FULFILLED = 'fulfilled';
+/**
+ * The status of a failed asynchronous operation.
+ * @type {String}
+ */
+Model.ASYNC_REJECTED = 'rejected';
+
+Model._transactionDepth = 0;
+Model._middlewares = [];
+Model._errorHandler = Model._logError;
+Model._leakDetection = null;
+Model._pendingNotifications = [];
+Model._notificationScheduler = Model._notifyInOrder;
+
+/**
+ * A Model whose changes are detected automatically, without calling
+ * {@link Model#set|set()}.<br>
+ *
+ * A ReactiveModel is wrapped in a
+ * <a href="https://developer.mozilla.org/en/docs/Web/JavaScript/Reference/Global_Objects/Proxy">Proxy</a>
+ * which intercepts property assignments and deletions, on the model itself and
+ * on the arrays and plain objects it contains (including array mutations, such
+ * as <code>push</code>, <code>splice</code> or <code>sort</code>). Every change
+ * schedules a notification, and all the changes made in the same task are
+ * notified once, in a microtask.
+ *
+ * <p>ReactiveModels remain regular Models: observers are added with
+ * {@link Model#addObserver|addObserver()} and {@link Model#set|set()}
+ * still notifies observers synchronously, once, for all the changes made by
+ * its updater.</p>
+ *
+ * <p>Notes:
+ * <ul>
+ * <li>Properties whose name starts with an underscore are not observed.</li>
+ * <li>Nested objects are returned wrapped in proxies, so they are not identical
+ * (<code>===</code>) to the objects originally assigned. Objects read from the
+ * model are always wrapped in the same proxy, and proxies assigned to the model
+ * are stored unwrapped.</li>
+ * <li>Other Models, as well as objects other than arrays and plain objects
+ * (e.g.: Date, Map), are not observed.</li>
+ * </ul></p>
+ *
+ * @example
+ * class TodoList extends Fronty.ReactiveModel {
+ *   constructor() {
+ *     super('todolist');
+ *     this.items = [];
+ *   }
+ * }
+ * var todos = new TodoList();
+ * // ...
+ * todos.items.push({description: 'lunch'}); // observers will be notified
+ *
+ * @extends Model
+ */
+class ReactiveModel extends Model {
+
+  /**
+   * Creates an instance of a ReactiveModel.
+   *
+   * @param {String} [name=--unnamed model--] A name for the model
+   */
+  constructor(name) {
+    super(name);
+
+    // proxies of this model and its nested objects, arranged by their targets
+    this._proxies = new WeakMap();
+    this._settingDepth = 0;
+    this._notificationScheduled = false;
+
+    // "this" in subclass constructors will be the proxy
+    return this._observe(this);
+  }
+
+  set(updater, hint) {
+    // changes made by the updater are notified by set() itself
+    this._settingDepth++;
+    try {
+      super.set(updater, hint);
+    } finally {
+      this._settingDepth--;
+    }
+  }
+
+  notifyObservers(hint, changes) {
+    this._notificationScheduled = false;
+    super.notifyObservers(hint, changes);
+  }
+
+  // "private" methods. They are called on the target of the proxy.
+
+  _observe(target) {
+    if (this._proxies.has(target)) {
+      return this._proxies.get(target);
+    }
+    let proxy = new Proxy(target, {
+      get: (object, property, receiver) => {
+        let value = Reflect.get(object, property, receiver);
+        return ReactiveModel._isObservable(object, property, value) ?
+          this._observe(value) : value;
+      },
+      set: (object, property, value) => {
+        value = ReactiveModel._toRaw(value);
+        if (!Object.is(object[property], value) && ReactiveModel._isObservedProperty(property)) {
+          this._scheduleNotification();
+        }
+        return Reflect.set(object, property, value);
+      },
+      deleteProperty: (object, property) => {
+        if (object.hasOwnProperty(property) && ReactiveModel._isObservedProperty(property)) {
+          this._scheduleNotification();
+        }
+        return Reflect.deleteProperty(object, property);
+      }
+    });
+    this._proxies.set(target, proxy);
+    ReactiveModel._targets.set(proxy, target);
+    return proxy;
+  }
+
+  // Called before the first change of a task is applied
+  _scheduleNotification() {
+    if (this._settingDepth > 0 || this._notificationScheduled ||
+      (this.observers.length === 0 && this._patchListeners.length === 0)) {
+      return;
+    }
+    this._notificationScheduled = true;
+    let snapshot = this._observerPaths.size > 0 ? this._takeChangesSnapshot() : null;
+    let patchSnapshot = this._takePatchSnapshot();
+
+    Promise.resolve().then(() => {
+      // set() or notifyObservers() may have been called in the meantime
+      if (this._notificationScheduled) {
+        // observers receive the proxy, not the target
+        let model = this._proxies.get(this);
+        model.notifyObservers(undefined, snapshot !== null ? model._computeChanges(snapshot) : undefined);
+        if (patchSnapshot !== null) {
+          model._notifyPatch(patchSnapshot);
+        }
+      }
+    });
+  }
+
+  static _isObservedProperty(property) {
+    return typeof property !== 'symbol' && property !== 'observers' && property.charAt(0) !== '_';
+  }
+
+  static _isObservable(object, property, value) {
+    if (!ReactiveModel._isObservedProperty(property) || value instanceof Model ||
+      !Model._isTraversable(value)) {
+      return false;
+    }
+    // proxies must return the real value of read-only properties
+    let descriptor = Object.getOwnPropertyDescriptor(object, property);
+    return !(descriptor && !descriptor.configurable && !descriptor.writable);
+  }
+
+  static _toRaw(value) {
+    return (value !== null && typeof value === 'object' && ReactiveModel._targets.has(value)) ?
+      ReactiveModel._targets.get(value) : value;
+  }
+}
+// targets of all the proxies created by ReactiveModels, arranged by proxy
+ReactiveModel._targets = new WeakMap();
+
+/**
+ * A Model holding an ordered collection of items, whose operations notify
+ * fine-grained changes.<br>
+ *
+ * Items are kept in the {@link ModelList#items|items} array, which should be
+ * only modified via the operations of this class. Each operation calls
+ * {@link Model#set|set()} with a hint like <code>{listChanges: [...]}</code>,
+ * containing the list of changes made, in order. Each change is one of:
+ * <ul>
+ * <li><code>{type: 'insert', index: Number, item: Object}</code></li>
+ * <li><code>{type: 'remove', index: Number, item: Object}</code></li>
+ * <li><code>{type: 'move', from: Number, to: Number, item: Object}</code>. The
+ * item is removed from <code>from</code> and then inserted in
+ * <code>to</code>.</li>
+ * <li><code>{type: 'replace', index: Number, item: Object, oldItem: Object}</code></li>
+ * </ul>
+ * Indexes refer to the list after applying the previous changes, so applying
+ * them in order to a copy of the previous items gives the current items.
+ * {@link ModelListComponent} uses these changes to patch only the affected rows.
+ *
+ * @example
+ * class TodoList extends Fronty.ModelList {
+ *   constructor() {
+ *     super('todolist');
+ *   }
+ * }
+ * var todos = new TodoList();
+ * todos.add({description: 'lunch'});
+ * todos.add({description: 'breakfast'}, 0);
+ * todos.sort((a, b) => a.description.localeCompare(b.description));
+ *
+ * @extends Model
+ */
+class ModelList extends Model {
+
+  /**
+   * Creates an instance of a ModelList.
+   *
+   * @param {String} [name=--unnamed model--] A name for the model
+   * @param {Array} [items] The initial items. The array is copied.
+   */
+  constructor(name, items) {
+    super(name);
+
+    /**
+     * The items of this list.
+     * @type {Array}
+     */
+    this.items = items ? items.slice() : [];
+  }
+
+  /**
+   * Inserts an item.
+   *
+   * @param {Object} item The item to insert.
+   * @param {Number} [index] The position of the new item. By default, at the
+   *        end. Positions out of the list are taken as its start or end.
+   */
+  add(item, index) {
+    index = (index === undefined) ? this.items.length : Math.max(0, Math.min(index, this.items.length));
+    this._change([{
+      type: ModelList.CHANGE_INSERT,
+      index: index,
+      item: item
+    }]);
+  }
+
+  /**
+   * Removes an item.
+   *
+   * @param {Object} item The item to remove.
+   * @return {Boolean} Whether the item was found and removed.
+   */
+  remove(item) {
+    let index = this.items.indexOf(item);
+    if (index === -1) {
+      return false;
+    }
+    this.removeAt(index);
+    return true;
+  }
+
+  /**
+   * Removes the item at a given position.
+   *
+   * @param {Number} index The position of the item to remove.
+   * @throws {Error} If there is no item at the position.
+   */
+  removeAt(index) {
+    this._checkIndex(index);
+    this._change([{
+      type: ModelList.CHANGE_REMOVE,
+      index: index,
+      item: this.items[index]
+    }]);
+  }
+
+  /**
+   * Moves an item to another position.
+   *
+   * @param {Number} from The current position of the item.
+   * @param {Number} to The new position of the item.
+   * @throws {Error} If there is no item at any of the positions.
+   */
+  move(from, to) {
+    this._checkIndex(from);
+    this._checkIndex(to);
+    if (from === to) {
+      return;
+    }
+    this._change([{
+      type: ModelList.CHANGE_MOVE,
+      from: from,
+      to: to,
+      item: this.items[from]
+    }]);
+  }
+
+  /**
+   * Replaces the item at a given position with another one.
+   *
+   * @param {Number} index The position of the item to replace.
+   * @param {Object} item The new item.
+   * @throws {Error} If there is no item at the position.
+   */
+  replace(index, item) {
+    this._checkIndex(index);
+    this._change([{
+      type: ModelList.CHANGE_REPLACE,
+      index: index,
+      item: item,
+      oldItem: this.items[index]
+    }]);
+  }
+
+  /**
+   * Sorts the items. The changes are notified as moves.
+   *
+   * @param {Function} [compare] The compare function, as in Array.prototype.sort.
+   */
+  sort(compare) {
+    let sorted = this.items.slice().sort(compare);
+    let current = this.items.slice();
+    let changes = [];
+    for (let i = 0; i < sorted.length; i++) {
+      if (!Object.is(current[i], sorted[i])) {
+        // not indexOf(), which never finds NaN
+        let from = i + 1;
+        while (!Object.is(current[from], sorted[i])) {
+          from++;
+        }
+        current.splice(i, 0, current.splice(from, 1)[0]);
+        changes.push({
+          type: ModelList.CHANGE_MOVE,
+          from: from,
+          to: i,
+          item: sorted[i]
+        });
+      }
+    }
+    this._change(changes);
+  }
+
+  /**
+   * Removes the items not satisfying a condition. The changes are notified
+   * as removals.
+   *
+   * @param {Function} predicate A function receiving an item and its index, which
+   *        returns whether the item should be kept.
+   */
+  filter(predicate) {
+    let changes = [];
+    for (let i = this.items.length - 1; i >= 0; i--) {
+      if (!predicate(this.items[i], i)) {
+        changes.push({
+          type: ModelList.CHANGE_REMOVE,
+          index: i,
+          item: this.items[i]
+        });
+      }
+    }
+    this._change(changes);
+  }
+
+  _checkIndex(index) {
+    if (typeof index !== 'number' || index < 0 || index >= this.items.length || index % 1 !== 0) {
+      throw new Error('ModelList [' + this.name + ']: index out of range ' + index);
+    }
+  }
+
+  _change(changes) {
+    if (changes.length === 0) {
+      return;
+    }
+    this.set(() => {
+      changes.forEach((change) => ModelList.applyChange(this.items, change));
+    }, {
+      listChanges: changes
+    });
+  }
+
+  /**
+   * Applies a change notified by a ModelList to an array.
+   *
+   * @param {Array} array The array to change.
+   * @param {Object} change The change.
+   */
+  static applyChange(array, change) {
+    switch (change.type) {
+      case ModelList.CHANGE_INSERT:
+        array.splice(change.index, 0, change.item);
+        break;
+      case ModelList.CHANGE_REMOVE:
+        array.splice(change.index, 1);
+        break;
+      case ModelList.CHANGE_MOVE:
+        array.splice(change.to, 0, array.splice(change.from, 1)[0]);
+        break;
+      case ModelList.CHANGE_REPLACE:
+        array[change.index] = change.item;
+        break;
+    }
+  }
+}
+ModelList.CHANGE_INSERT = 'insert';
+ModelList.CHANGE_REMOVE = 'remove';
+ModelList.CHANGE_MOVE = 'move';
+ModelList.CHANGE_REPLACE = 'replace';
+
+/**
+ * A predictable state container, in the style of
+ * <a href="https://redux.js.org">Redux</a>.<br>
+ *
+ * The state of a Store can only be changed by dispatching <em>actions</em>:
+ * plain objects with a <code>type</code> property. A <em>reducer</em>
+ * function receives the current state and the action, and returns the new
+ * state (without modifying the current one). The state must be an object.
+ * Its properties are also properties of the Store, so it can be
+ * passed to a {@link ModelComponent} like any other {@link Model}, and they
+ * cannot be named like the properties of the Store (e.g.: <code>name</code>,
+ * <code>log</code> or <code>observers</code>). Observers are notified
+ * with the hint <code>{action: action}</code> when the state changes.
+ *
+ * <p>Dispatch middlewares receive the Store and can intercept actions before
+ * they reach the reducer. For example, {@link Store.thunk} allows to dispatch
+ * functions, in order to dispatch actions asynchronously.</p>
+ *
+ * <p>The actions reaching the reducer are recorded in the
+ * {@link Store#log|log}, so they can be replayed later (e.g.: to reproduce a
+ * bug).</p>
+ *
+ * @example
+ * var store = new Fronty.Store({
+ *   todos: (todos = [], action) => action.type === 'add' ? todos.concat(action.todo) : todos,
+ *   filter: Fronty.Store.namespace('filter', (filter = 'all', action) =>
+ *     action.type === 'set' ? action.value : filter)
+ * });
+ * store.dispatch({type: 'add', todo: 'lunch'});
+ * store.dispatch({type: 'filter/set', value: 'done'});
+ * store.todos; // ['lunch']
+ *
+ * @extends Model
+ */
+class Store extends Model {
+
+  /**
+   * Creates a new Store.
+   *
+   * @param {Function|Object} reducer The reducer function or an object with
+   *        reducers, which are combined via {@link Store.combineReducers}.
+   * @param {Object} [options] The Store options.
+   * @param {Object} [options.initialState] The initial state. By default, the
+   *        state returned by the reducer for the {@link Store.INIT} action.
+   * @param {Array.<Function>} [options.middlewares] The dispatch middlewares.
+   *        A middleware is a function like <code>(store) => (next) => (action) => ...</code>,
+   *        where <code>next</code> dispatches the action to the next middleware
+   *        and, finally, to the reducer.
+   * @param {Boolean} [options.log=true] Whether the dispatched actions are
+   *        recorded.
+   * @param {String} [options.name=store] The name of the Store.
+   */
+  constructor(reducer, options) {
+    options = options ? options : {};
+    super(options.name ? options.name : 'store');
+
+    /**
+     * The reducer function of this Store.
+     * @type {Function}
+     */
+    this.reducer = typeof reducer === 'function' ? reducer : Store.combineReducers(reducer);
+
+    // the dispatched actions, not a state property
+    this._log = [];
+    this._logEnabled = options.log !== false;
+    this._state = {};
+    this._dispatching = false;
+    this._initialState = this._callReducer(options.initialState, {
+      type: Store.INIT
+    });
+    this._replaceState(this._initialState);
+
+    let dispatch = (action) => this._reduce(action);
+    (options.middlewares ? options.middlewares : []).slice().reverse().forEach((middleware) => {
+      dispatch = middleware(this)(dispatch);
+    });
+    this._dispatch = dispatch;
+  }
+
+  /**
+   * Dispatches an action, which goes through the middlewares and reaches the
+   * reducer.
+   *
+   * @param {Object} action The action. Without middlewares, it must be a
+   *        plain object with a <code>type</code> property.
+   * @return The result of the middlewares or, if the action reached the
+   *         reducer, the action.
+   */
+  dispatch(action) {
+    return this._dispatch(action);
+  }
+
+  /**
+   * The actions that reached the reducer, in order, if logging is enabled.
+   * @type {Array.<Object>}
+   */
+  get log() {
+    return this._log;
+  }
+
+  /**
+   * Returns the current state.
+   *
+   * @return {Object} The current state. It must not be modified.
+   */
+  getState() {
+    return this._state;
+  }
+
+  /**
+   * Restores the initial state and applies the given actions directly to the
+   * reducer, without middlewares. Observers are notified once, with the hint
+   * <code>{replay: actions}</code>.
+   *
+   * @param {Array.<Object>} [actions=this.log] The actions to replay.
+   */
+  replay(actions) {
+    actions = actions ? actions.slice() : this._log.slice();
+    let state = this._initialState;
+    actions.forEach((action) => state = this._callReducer(state, action));
+    this._log = this._logEnabled ? actions : [];
+    this.set(() => this._replaceState(state), {
+      replay: actions
+    });
+  }
+
+  /**
+   * Discards the recorded actions.
+   */
+  clearLog() {
+    this._log = [];
+  }
+
+  /**
+   * Creates a reducer from an object of reducers. The state of the combined
+   * reducer is an object with the states of each reducer under its name.
+   * Nested objects of reducers are combined too.
+   *
+   * @param {Object.<String, Function|Object>} reducers The reducers.
+   * @return {Function} The combined reducer.
+   */
+  static combineReducers(reducers) {
+    let keys = Object.keys(reducers);
+    let combined = {};
+    keys.forEach((key) => combined[key] = typeof reducers[key] === 'function' ?
+      reducers[key] : Store.combineReducers(reducers[key]));
+
+    return (state, action) => {
+      state = state !== undefined ? state : {};
+      let changed = false;
+      let newState = {};
+      keys.forEach((key) => {
+        newState[key] = combined[key](state[key], action);
+        changed = changed || newState[key] !== state[key];
+      });
+      return changed ? newState : state;
+    };
+  }
+
+  /**
+   * Creates a reducer which only handles the actions whose type starts with
+   * the given namespace and a slash (e.g.: <code>'cart/add'</code>). The
+   * wrapped reducer receives the type without the namespace
+   * (<code>'add'</code>).
+   *
+   * @param {String} namespace The namespace.
+   * @param {Function} reducer The reducer to wrap.
+   * @return {Function} The namespaced reducer.
+   */
+  static namespace(namespace, reducer) {
+    let prefix = namespace + '/';
+    return (state, action) => {
+      if (action.type === Store.INIT) {
+        return reducer(state, action);
+      }
+      if (typeof action.type === 'string' && action.type.indexOf(prefix) === 0) {
+        return reducer(state, Object.assign({}, action, {
+          type: action.type.substr(prefix.length)
+        }));
+      }
+      return state;
+    };
+  }
+
+  /**
+   * A dispatch middleware allowing to dispatch functions (<em>thunks</em>).
+   * The function is called with the <code>dispatch</code> and
+   * <code>getState</code> functions of the Store, and the result is returned by
+   * {@link Store#dispatch|dispatch()} (e.g.: a Promise, in asynchronous
+   * actions).
+   *
+   * @example
+   * var store = new Fronty.Store(reducer, {middlewares: [Fronty.Store.thunk]});
+   * store.dispatch((dispatch) => {
+   *   dispatch({type: 'loading'});
+   *   return fetch('/items').then((response) => response.json())
+   *     .then((items) => dispatch({type: 'loaded', items: items}));
+   * });
+   *
+   * @param {Store} store The Store.
+   * @return {Function} The middleware.
+   */
+  static thunk(store) {
+    return (next) => (action) => typeof action === 'function' ?
+      action((action) => store.dispatch(action), () => store.getState()) :
+      next(action);
+  }
+
+  // "private" methods
+
+  _reduce(action) {
+    let prototype = action !== null && typeof action === 'object' ? Object.getPrototypeOf(action) : undefined;
+    if ((prototype !== Object.prototype && prototype !== null) || typeof action.type !== 'string') {
+      throw new Error('Store [' + this.name + ']: actions must be plain objects with a type');
+    }
+    if (this._dispatching) {
+      throw new Error('Store [' + this.name + ']: reducers may not dispatch actions');
+    }
+    let state = this._callReducer(this._state, action);
+    if (this._logEnabled) {
+      this._log.push(action);
+    }
+    if (state !== this._state) {
+      this.set(() => this._replaceState(state), {
+        action: action
+      });
+    }
+    return action;
+  }
+
+  _callReducer(state, action) {
+    this._dispatching = true;
+    let newState;
+    try {
+      newState = this.reducer(state, action);
+    } finally {
+      this._dispatching = false;
+    }
+    this._checkState(newState);
+    return newState;
+  }
+
+  // the state must be an object, whose properties do not hide the ones of
+  // this Store
+  _checkState(state) {
+    if (state === null || typeof state !== 'object') {
+      throw new Error('Store [' + this.name + ']: the state must be an object');
+    }
+    Object.keys(state).forEach((key) => {
+      if (!this._state.hasOwnProperty(key) && (key in this || this._isReservedProperty(key))) {
+        throw new Error('Store [' + this.name + ']: the state property ' + key + ' is reserved');
+      }
+    });
+  }
+
+  _replaceState(state) {
+    Object.keys(this._state).forEach((key) => {
+      if (!state.hasOwnProperty(key)) {
+        delete this[key];
+      }
+    });
+    Object.keys(state).forEach((key) => this[key] = state[key]);
+    this._state = state;
+  }
+}
+/**
+ * The type of the action used to get the initial state of the reducers.
+ * @type {String}
+ */
+Store.INIT = '@@fronty/INIT';
+
+/**
+ * A Model keeping entities (e.g.: users, products...) normalized: each
+ * entity is stored once, by type and id, in the <code>entities</code>
+ * property (<code>entities[type][id]</code>).<br>
+ *
+ * Other models hold <em>references</em> to entities (see
+ * {@link EntityStore#ref|ref()}) instead of copies. A reference behaves like
+ * a read-only view of the entity, resolved when its properties are read, so
+ * renderers always show the current entity. Any {@link ModelComponent}
+ * reading a reference during its render observes this EntityStore, and
+ * re-renders when that entity changes.
+ *
+ * <p>Entities are added or updated with {@link EntityStore#upsert|upsert()},
+ * which accepts API payloads: nested entities declared as relations (see
+ * {@link EntityStore#defineType|defineType()}) are stored separately and
+ * replaced by references. Observers are notified with a hint like
+ * <code>{entities: [{type: 'user', id: 1}, ...]}</code>, listing the changed
+ * entities.</p>
+ *
+ * @example
+ * var store = new Fronty.EntityStore();
+ * store.defineType('post', {relations: {author: 'user'}});
+ * var posts = store.upsert('post', [{id: 1, title: 'Hello', author: {id: 7, name: 'John'}}]);
+ * header.set(() => header.user = store.ref('user', 7));
+ * list.set(() => list.posts = posts);
+ * store.upsert('user', {id: 7, name: 'Johnny'}); // header and list components re-render
+ *
+ * @extends Model
+ */
+class EntityStore extends Model {
+
+  /**
+   * Creates a new, empty, EntityStore.
+   *
+   * @param {String} [name=entities] The name of the store.
+   */
+  constructor(name) {
+    super(name ? name : 'entities');
+
+    /**
+     * The entities, arranged by type and id.
+     * @type {Object.<String, Object.<String, Object>>}
+     */
+    this.entities = {};
+
+    // the options of the types declared via defineType(), arranged by type
+    this._types = {};
+    // the references returned by ref(), arranged by type and id
+    this._refs = new Map();
+  }
+
+  /**
+   * Declares the options of an entity type. Types used without being
+   * declared have the default options.
+   *
+   * @param {String} type The type.
+   * @param {Object} [options] The options of the type.
+   * @param {String} [options.idAttribute=id] The property holding the id.
+   * @param {Object.<String, String|Array.<String>>} [options.relations] The
+   *        properties holding other entities, with their types. An array with
+   *        a type indicates an array of entities (e.g.: <code>{comments: ['comment']}</code>).
+   */
+  defineType(type, options) {
+    options = options ? options : {};
+    this._types[type] = {
+      idAttribute: options.idAttribute ? options.idAttribute : 'id',
+      relations: options.relations ? options.relations : {}
+    };
+  }
+
+  /**
+   * Adds or updates one or more entities. Properties of existing entities are
+   * updated, and the other properties are kept. Observers are notified once.
+   *
+   * @param {String} type The type of the entities.
+   * @param {Object|Array.<Object>} data An entity or an array of entities.
+   * @return {Object|Array.<Object>} The reference or references to the
+   *         entities.
+   */
+  upsert(type, data) {
+    let changed = [];
+    let result;
+    this.set(() => {
+      result = Array.isArray(data) ?
+        data.map((entity) => this._upsertEntity(type, entity, changed)) :
+        this._upsertEntity(type, data, changed);
+    }, {
+      entities: changed
+    });
+    return result;
+  }
+
+  /**
+   * Removes an entity. References to it resolve to no properties.
+   *
+   * @param {String} type The type of the entity.
+   * @param {String|Number} id The id of the entity.
+   * @return {Boolean} Whether the entity existed.
+   */
+  remove(type, id) {
+    if (this.get(type, id) === undefined) {
+      return false;
+    }
+    this.set(() => delete this.entities[type][id], {
+      entities: [{
+        type: type,
+        id: id
+      }]
+    });
+    return true;
+  }
+
+  /**
+   * Returns an entity.
+   *
+   * @param {String} type The type of the entity.
+   * @param {String|Number} id The id of the entity.
+   * @return {Object} The entity, or undefined if it does not exist.
+   */
+  get(type, id) {
+    return this.entities[type] && this.entities[type].hasOwnProperty(id) ? this.entities[type][id] : undefined;
+  }
+
+  /**
+   * Returns references to all the entities of a type.
+   *
+   * @param {String} type The type.
+   * @return {Array.<Object>} The references.
+   */
+  all(type) {
+    return Object.keys(this.entities[type] ? this.entities[type] : {}).map((id) => this.ref(type, id));
+  }
+
+  /**
+   * Returns a reference to an entity, which can be held by other models.<br>
+   *
+   * A reference is a read-only object whose properties are those of the
+   * current entity, even if it does not exist yet or is replaced later.
+   * References to the same entity are identical.
+   *
+   * @param {String} type The type of the entity.
+   * @param {String|Number} id The id of the entity.
+   * @return {Object} The reference.
+   */
+  ref(type, id) {
+    let key = EntityStore._key(type, id);
+    if (!this._refs.has(key)) {
+      this._refs.set(key, this._createRef(type, id));
+    }
+    return this._refs.get(key);
+  }
+
+  /**
+   * Whether a value is a reference to an entity.
+   *
+   * @param {Object} value The value.
+   * @return {Boolean} true if the value was returned by {@link EntityStore#ref|ref()}.
+   */
+  static isRef(value) {
+    return EntityStore._refTargets.has(value);
+  }
+
+  // "private" methods
+
+  _typeOptions(type) {
+    if (!this._types[type]) {
+      this.defineType(type);
+    }
+    return this._types[type];
+  }
+
+  // stores the entity and its related entities, returning a reference to it
+  _upsertEntity(type, entity, changed) {
+    if (EntityStore.isRef(entity)) {
+      return entity;
+    }
+    let options = this._typeOptions(type);
+    let id = entity[options.idAttribute];
+    if (id === undefined || id === null) {
+      throw new Error('EntityStore [' + this.name + ']: ' + type + ' entity without ' + options.idAttribute);
+    }
+    let normalized = Object.assign({}, entity);
+    Object.keys(options.relations).forEach((relation) => {
+      let value = normalized[relation];
+      let relatedType = options.relations[relation];
+      if (value === null || value === undefined) {
+        return;
+      }
+      if (Array.isArray(relatedType)) {
+        normalized[relation] = value.map((related) => this._upsertRelated(relatedType[0], related, changed));
+      } else {
+        normalized[relation] = this._upsertRelated(relatedType, value, changed);
+      }
+    });
+
+    if (!this.entities[type]) {
+      this.entities[type] = {};
+    }
+    if (this.entities[type].hasOwnProperty(id)) {
+      Object.assign(this.entities[type][id], normalized);
+    } else {
+      this.entities[type][id] = normalized;
+    }
+    changed.push({
+      type: type,
+      id: id
+    });
+    return this.ref(type, id);
+  }
+
+  // related entities can be given as objects or as ids
+  _upsertRelated(type, related, changed) {
+    return related !== null && typeof related === 'object' ?
+      this._upsertEntity(type, related, changed) : this.ref(type, related);
+  }
+
+  _createRef(type, id) {
+    let entity = () => {
+      EntityStore._recordRead(this, type, id);
+      let value = this.get(type, id);
+      return value !== undefined ? value : {};
+    };
+    let target = new EntityStore.Ref(type, id);
+    let ref = new Proxy(target, {
+      get: (target, property) => typeof property === 'symbol' ? target[property] : entity()[property],
+      has: (target, property) => property in entity(),
+      ownKeys: () => Object.keys(entity()),
+      getOwnPropertyDescriptor: (target, property) => {
+        let value = entity();
+        return value.hasOwnProperty(property) ? {
+          value: value[property],
+          writable: false,
+          enumerable: true,
+          configurable: true
+        } : undefined;
+      },
+      set: () => false,
+      deleteProperty: () => false
+    });
+    EntityStore._refTargets.set(ref, target);
+    return ref;
+  }
+
+  static _key(type, id) {
+    return type + ':' + id;
+  }
+
+  static _recordRead(store, type, id) {
+    let reads = EntityStore._readStack[EntityStore._readStack.length - 1];
+    if (reads) {
+      if (!reads.has(store)) {
+        reads.set(store, new Set());
+      }
+      reads.get(store).add(EntityStore._key(type, id));
+    }
+  }
+
+  // runs the function, returning the entities read as a Map of store -> Set of keys
+  static _trackReads(fn) {
+    let reads = new Map();
+    EntityStore._readStack.push(reads);
+    try {
+      return {
+        value: fn(),
+        reads: reads
+      };
+    } finally {
+      EntityStore._readStack.pop();
+    }
+  }
+}
+
+// The target of the reference proxies, which are not plain objects, so
+// snapshots keep references instead of copying them.
+EntityStore.Ref = class EntityRef {
+  constructor(type, id) {
+    this.type = type;
+    this.id = id;
+  }
+};
+
+// proxy -> target of the references created by any EntityStore
+EntityStore._refTargets = new WeakMap();
+// the entities read in the renders in progress (the last one is the current)
+EntityStore._readStack = [];
+
+/**
+ * An adapter persisting some properties of a {@link Model} in a
+ * <a href="https://developer.mozilla.org/en/docs/Web/API/Storage">Storage</a>
+ * (such as <code>localStorage</code> or <code>sessionStorage</code>).<br>
+ *
+ * The adapter restores the stored properties into the model when it is created,
+ * and observes the model in order to save them after each change.
+ *
+ * <p>Stored data carries a schema version. If the stored version is older
+ * than the current one, the data is upgraded with the given migration functions
+ * before being restored: <code>migrations[n]</code> receives the data of
+ * version n-1 and returns the data of version n. Data stored with a newer
+ * version, which cannot be parsed, or whose migration fails, is ignored.</p>
+ *
+ * @example
+ * var settings = new Fronty.Model('settings');
+ * settings.theme = 'light';
+ * var persistence = new Fronty.ModelPersistence(settings, {
+ *   key: 'myapp.settings',
+ *   properties: ['theme', 'language'],
+ *   version: 2,
+ *   migrations: {
+ *     // version 1 stored 'dark' as a Boolean
+ *     2: (data) => { data.theme = data.dark ? 'dark' : 'light'; delete data.dark; return data; }
+ *   },
+ *   debounce: 500
+ * });
+ */
+class ModelPersistence {
+
+  /**
+   * Creates a new ModelPersistence, restoring the stored properties into the
+   * model.
+   *
+   * @param {Model} model The model to persist.
+   * @param {Object} options The persistence options.
+   * @param {String} options.key The key of the stored data.
+   * @param {Array.<String>} [options.properties] The properties to persist. By
+   *        default, all the data properties of the model.
+   * @param {Storage} [options.storage=window.localStorage] The storage. Any
+   *        object with getItem, setItem and removeItem functions is valid (see
+   *        {@link MemoryStorage}).
+   * @param {Number} [options.version=1] The current schema version.
+   * @param {Object.<Number, Function>} [options.migrations] The migration
+   *        functions, arranged by the version they upgrade to.
+   * @param {Number} [options.debounce=0] If greater than 0, the milliseconds
+   *        to wait since the last change before saving.
+   * @param {Function} [options.serialize] A function receiving the model and
+   *        returning the data to store, instead of the chosen properties.
+   * @param {Function} [options.deserialize] A function receiving the model and
+   *        the restored data, in charge of updating the model.
+   */
+  constructor(model, options) {
+    this.model = model;
+    this.key = options.key;
+    this.properties = options.properties ? options.properties : null;
+    this.storage = options.storage ? options.storage : window.localStorage;
+    this.version = options.version !== undefined ? options.version : 1;
+    this.migrations = options.migrations ? options.migrations : {};
+    this.debounce = options.debounce ? options.debounce : 0;
+    this.serialize = options.serialize ? options.serialize : null;
+    this.deserialize = options.deserialize ? options.deserialize : null;
+
+    this._timeout = null;
+    this._observer = () => this._scheduleSave();
+
+    this.restore();
+    this.model.addObserver(this._observer);
+  }
+
+  /**
+   * Restores the stored data into the model, upgrading it if necessary.
+   * Observers of the model are notified with the hint
+   * <code>{persistence: 'restore'}</code>.
+   *
+   * @return {Boolean} Whether valid data was found and restored.
+   */
+  restore() {
+    let data = this._read();
+    if (data === null) {
+      return false;
+    }
+    let patchSnapshot = this.model._takePatchSnapshot();
+    if (this.deserialize !== null) {
+      this.deserialize(this.model, data);
+    } else {
+      Object.keys(data).forEach((key) => {
+        if (this.properties === null || this.properties.indexOf(key) !== -1) {
+          this.model[key] = data[key];
+        }
+      });
+    }
+    let hint = {
+      persistence: 'restore'
+    };
+    this.model.notifyObservers(hint);
+    if (patchSnapshot !== null) {
+      this.model._notifyPatch(patchSnapshot, hint);
+    }
+    return true;
+  }
+
+  /**
+   * Saves the properties of the model immediately, cancelling any pending
+   * debounced save.
+   */
+  save() {
+    this._cancelPendingSave();
+    let data = this.serialize !== null ? this.serialize(this.model) : this._pickProperties();
+    this.storage.setItem(this.key, JSON.stringify({
+      version: this.version,
+      data: data
+    }));
+  }
+
+  /**
+   * Saves the model if there is a pending debounced save.
+   */
+  flush() {
+    if (this._timeout !== null) {
+      this.save();
+    }
+  }
+
+  /**
+   * Removes the stored data.
+   */
+  clear() {
+    this._cancelPendingSave();
+    this.storage.removeItem(this.key);
+  }
+
+  /**
+   * Stops observing the model. Pending saves are done immediately.
+   */
+  stop() {
+    this.flush();
+    this.model.removeObserver(this._observer);
+  }
+
+  // "private" methods
+
+  _scheduleSave() {
+    if (this.debounce <= 0) {
+      this.save();
+      return;
+    }
+    this._cancelPendingSave();
+    this._timeout = setTimeout(() => {
+      this._timeout = null;
+      this.save();
+    }, this.debounce);
+  }
+
+  _cancelPendingSave() {
+    if (this._timeout !== null) {
+      clearTimeout(this._timeout);
+      this._timeout = null;
+    }
+  }
+
+  _pickProperties() {
+    let properties = this.properties !== null ? this.properties : this.model._stateProperties();
+    let data = {};
+    properties.forEach((property) => {
+      if (this.model[property] !== undefined) {
+        data[property] = this.model[property];
+      }
+    });
+    return data;
+  }
+
+  // reads and upgrades the stored data, returning null if there is no valid data
+  _read() {
+    let stored = this.storage.getItem(this.key);
+    if (stored === null || stored === undefined) {
+      return null;
+    }
+    try {
+      stored = JSON.parse(stored);
+    } catch (e) {
+      return null;
+    }
+    if (stored === null || typeof stored !== 'object' || typeof stored.version !== 'number' ||
+      stored.version > this.version) {
+      return null;
+    }
+    let data = stored.data;
+    try {
+      for (let version = stored.version + 1; version <= this.version; version++) {
+        if (this.migrations[version]) {
+          data = this.migrations[version](data);
+        }
+      }
+    } catch (e) {
+      return null;
+    }
+    return data;
+  }
+}
+
+/**
+ * An in-memory implementation of the
+ * <a href="https://developer.mozilla.org/en/docs/Web/API/Storage">Storage</a>
+ * interface, which can replace <code>localStorage</code> in
+ * {@link ModelPersistence} (e.g.: in tests).
+ */
+class MemoryStorage {
+
+  /**
+   * Creates a new, empty, MemoryStorage.
+   */
+  constructor() {
+    this._items = {};
+  }
+
+  /**
+   * The number of stored items.
+   * @type {Number}
+   */
+  get length() {
+    return Object.keys(this._items).length;
+  }
+
+  key(index) {
+    let keys = Object.keys(this._items);
+    return index < keys.length ? keys[index] : null;
+  }
+
+  getItem(key) {
+    return this._items.hasOwnProperty(key) ? this._items[key] : null;
+  }
+
+  setItem(key, value) {
+    this._items[key] = String(value);
+  }
+
+  removeItem(key) {
+    delete this._items[key];
+  }
+
+  clear() {
+    this._items = {};
+  }
+}
+
+/**
+ * An adapter synchronizing some properties of a {@link Model} among several
+ * pages of the same origin (e.g.: the same application opened in several
+ * tabs).<br>
+ *
+ * After each change of the model, its properties are serialized as JSON and
+ * broadcast over a
+ * <a href="https://developer.mozilla.org/en/docs/Web/API/BroadcastChannel">BroadcastChannel</a>.
+ * If BroadcastChannel is not available, messages are sent through
+ * <code>localStorage</code> and received with <code>storage</code> events.
+ * Received changes are applied to the model and notified to its observers
+ * with the hint <code>{sync: 'remote'}</code>. These changes are not
+ * broadcast again.
+ *
+ * <p>When a received change is older than the last change of the model,
+ * there is a conflict. With the default policy,
+ * {@link ModelSync.LAST_WRITER_WINS}, the most recent change is kept. A
+ * merge function can be given instead, whose result is broadcast to the
+ * other pages as a new change.</p>
+ *
+ * @example
+ * var cart = new Fronty.Model('cart');
+ * cart.items = [];
+ * var sync = new Fronty.ModelSync(cart, {
+ *   key: 'myapp.cart',
+ *   properties: ['items']
+ * });
+ */
+class ModelSync {
+
+  /**
+   * Creates a new ModelSync, which starts synchronizing the model.
+   *
+   * @param {Model} model The model to synchronize.
+   * @param {Object} options The synchronization options.
+   * @param {String} options.key The name of the channel.
+   * @param {Array.<String>} [options.properties] The properties to
+   *        synchronize. By default, all the data properties of the model.
+   * @param {Object} [options.channel] The channel to use instead of a
+   *        BroadcastChannel (e.g.: in tests). It must provide the
+   *        <code>postMessage</code>, <code>addEventListener</code> and
+   *        <code>removeEventListener</code> functions of BroadcastChannel.
+   * @param {String|Function} [options.conflict=ModelSync.LAST_WRITER_WINS]
+   *        The conflict policy. A function receives the local data, the
+   *        received data and the model, and returns the data to apply.
+   * @param {Function} [options.serialize] A function receiving the model and
+   *        returning the data to send, instead of the chosen properties.
+   * @param {Function} [options.deserialize] A function receiving the model and
+   *        the received data, in charge of updating the model.
+   */
+  constructor(model, options) {
+    this.model = model;
+    this.key = options.key;
+    this.properties = options.properties ? options.properties : null;
+    this.conflict = options.conflict ? options.conflict : ModelSync.LAST_WRITER_WINS;
+    this.serialize = options.serialize ? options.serialize : null;
+    this.deserialize = options.deserialize ? options.deserialize : null;
+
+    this._ownChannel = !options.channel;
+    this.channel = options.channel ? options.channel : ModelSync._createChannel(this.key);
+
+    // identifies the messages of this instance
+    this._id = Math.random().toString(36).substr(2) + Date.now().toString(36);
+    this._lastChange = null;
+
+    this._observer = (model, hint) => {
+      if (!ModelSync._isRemoteHint(hint)) {
+        this.broadcast();
+      }
+    };
+    this._listener = (event) => this._receive(event.data);
+
+    this.channel.addEventListener('message', this._listener);
+    this.model.addObserver(this._observer);
+  }
+
+  /**
+   * Sends the current properties of the model to the other pages.
+   */
+  broadcast() {
+    // a change made after receiving another one must be newer, even if clocks differ
+    this._lastChange = {
+      timestamp: this._lastChange !== null ? Math.max(Date.now(), this._lastChange.timestamp + 1) : Date.now(),
+      sender: this._id
+    };
+    this.channel.postMessage(JSON.stringify({
+      timestamp: this._lastChange.timestamp,
+      sender: this._id,
+      data: this._data()
+    }));
+  }
+
+  /**
+   * Stops synchronizing the model.
+   */
+  stop() {
+    this.model.removeObserver(this._observer);
+    this.channel.removeEventListener('message', this._listener);
+    if (this._ownChannel) {
+      this.channel.close();
+    }
+  }
+
+  // "private" methods
+
+  _data() {
+    if (this.serialize !== null) {
+      return this.serialize(this.model);
+    }
+    let properties = this.properties !== null ? this.properties : this.model._stateProperties();
+    let data = {};
+    properties.forEach((property) => {
+      if (this.model[property] !== undefined) {
+        data[property] = this.model[property];
+      }
+    });
+    return data;
+  }
+
+  _receive(serialized) {
+    let message;
+    try {
+      message = typeof serialized === 'string' ? JSON.parse(serialized) : serialized;
+    } catch (e) {
+      return;
+    }
+    if (!ModelSync._isValidMessage(message) || message.sender === this._id) {
+      return;
+    }
+
+    let data = message.data;
+    if (this._lastChange !== null && ModelSync._compareChanges(message, this._lastChange) < 0) {
+      // the received change is older than the local one
+      if (this.conflict === ModelSync.LAST_WRITER_WINS) {
+        return;
+      }
+      this._apply(this.conflict(this._data(), data, this.model));
+      // the other pages did not see the merged data, which is newer than both
+      // changes
+      this.broadcast();
+      return;
+    }
+    this._lastChange = {
+      timestamp: message.timestamp,
+      sender: message.sender
+    };
+    this._apply(data);
+  }
+
+  _apply(data) {
+    let patchSnapshot = this.model._takePatchSnapshot();
+    if (this.deserialize !== null) {
+      this.deserialize(this.model, data);
+    } else {
+      Object.keys(data).forEach((key) => {
+        if ((this.properties === null || this.properties.indexOf(key) !== -1) &&
+          !this.model._isReservedProperty(key)) {
+          this.model[key] = data[key];
+        }
+      });
+    }
+    let hint = {
+      sync: 'remote'
+    };
+    this.model.notifyObservers(hint);
+    if (patchSnapshot !== null) {
+      this.model._notifyPatch(patchSnapshot, hint);
+    }
+  }
+
+  static _createChannel(key) {
+    if (typeof BroadcastChannel !== 'undefined') {
+      return new BroadcastChannel(key);
+    }
+    return new ModelSync.StorageChannel(key);
+  }
+
+  // whether a received message is a change, as sent by broadcast()
+  static _isValidMessage(message) {
+    if (message === null || typeof message !== 'object' || typeof message.sender !== 'string' ||
+      typeof message.timestamp !== 'number' || !isFinite(message.timestamp)) {
+      return false;
+    }
+    let data = message.data;
+    return data !== null && typeof data === 'object' &&
+      (Object.getPrototypeOf(data) === Object.prototype || Object.getPrototypeOf(data) === null);
+  }
+
+  static _compareChanges(a, b) {
+    if (a.timestamp !== b.timestamp) {
+      return a.timestamp - b.timestamp;
+    }
+    return a.sender < b.sender ? -1 : (a.sender > b.sender ? 1 : 0);
+  }
+
+  // whether the hint comes only from changes received by a ModelSync,
+  // including transactions
+  static _isRemoteHint(hint) {
+    if (hint === null || typeof hint !== 'object') {
+      return false;
+    }
+    if (hint.transaction === true && Array.isArray(hint.changes)) {
+      return hint.changes.every((change) => ModelSync._isRemoteHint(change.hint));
+    }
+    return hint.sync === 'remote';
+  }
+}
+/**
+ * The conflict policy keeping the most recent change.
+ * @type {String}
+ */
+ModelSync.LAST_WRITER_WINS = 'last-writer-wins';
+
+// A channel sending messages through localStorage, for browsers without
+// BroadcastChannel. Messages are received by the other pages in storage events.
+ModelSync.StorageChannel = class StorageChannel {
+  constructor(key) {
+    this.key = 'fronty-sync:' + key;
+    this.listeners = [];
+    this._storageListener = (event) => {
+      if (event.key === this.key && event.newValue !== null) {
+        this.listeners.forEach((listener) => listener({
+          data: event.newValue
+        }));
+      }
+    };
+    window.addEventListener('storage', this._storageListener);
+  }
+
+  postMessage(message) {
+    window.localStorage.setItem(this.key, message);
+  }
+
+  addEventListener(type, listener) {
+    this.listeners.push(listener);
+  }
+
+  removeEventListener(type, listener) {
+    if (this.listeners.indexOf(listener) !== -1) {
+      this.listeners.splice(this.listeners.indexOf(listener), 1);
     }
   }
-}
+
+  close() {
+    window.removeEventListener('storage', this._storageListener);
+    this.listeners = [];
+  }
+};
 
 
 /**
@@ -1399,6 +5519,32 @@ class Model {
  * setInterval(() => {
  *    model.set( () => model.counter++); // model update -> automatic re-render!
  * }, 1000);
+ *
+ * <p>Form elements with a <code>fronty-bind</code> attribute are bound to a
+ * model property, given by its path (as in the <code>model</code> attribute of
+ * child components). Bound elements show the value of the property after each
+ * render, and user changes are written back to the model via
+ * {@link Model#set}, with the hint <code>{binding: path}</code>. Text inputs
+ * and textareas are bound to strings, checkboxes to booleans (or to the Array
+ * of the checked values, if the property is an Array), radio groups and
+ * selects to the value of the chosen option, and multiple selects to an Array
+ * of the selected values. Values are strings, except for numeric inputs
+ * (numbers, or null if empty) and elements with a
+ * <code>fronty-bind-type</code> attribute (<code>number</code>,
+ * <code>boolean</code> or <code>string</code>). Values which cannot be
+ * parsed (e.g.: while typing <code>1e</code>) are not written.
+ * Text inputs are written on each <code>input</code> event, unless they have
+ * the <code>fronty-bind-lazy</code> attribute (written on
+ * <code>change</code>). With <code>fronty-bind-debounce="ms"</code>, writes
+ * wait until the user stops typing for the given milliseconds.</p>
+ *
+ * @example
+ * <!-- in the renderer function -->
+ * <input type="text" fronty-bind="user.name">
+ * <input type="number" fronty-bind="user.age" fronty-bind-lazy>
+ * <input type="checkbox" fronty-bind="user.tags" value="admin">
+ * <select fronty-bind="user.country">...</select>
+ * <input type="radio" fronty-bind="user.level" fronty-bind-type="number" value="1">
  * @extends Component
  */
 class ModelComponent extends Component {
@@ -1418,7 +5564,7 @@ class ModelComponent extends Component {
       // the renderer function wraps the modelRenderer function in order to
       // pass the model to the modelRenderer.
       () => {
-        return modelRenderer(this._mergeModelInOneObject());
+        return this._renderModels(modelRenderer);
       },
       htmlNodeId, childTags
     );
@@ -1430,6 +5576,42 @@ class ModelComponent extends Component {
     }
 
     this.updater = this.update.bind(this); // the update function bound to this
+    this.updater.component = this; // reported if the update fails (see Model.onError)
+
+    /**
+     * Whether this ModelComponent tracks the model properties read by its
+     * renderer function.<br>
+     *
+     * If true, this ModelComponent skips the renders where none of the
+     * values read in the previous render has changed.
+     *
+     * @name ModelComponent#trackReads
+     * @type Boolean
+     * @default false
+     */
+    this.trackReads = false;
+
+    // the model properties read in the last render, if trackReads is true
+    this._modelReads = null;
+
+    // selectors added via addSelector(), arranged by name
+    this._selectors = {};
+    // whether the selected values were computed by the last update()
+    this._selectionUpdated = false;
+
+    // the entities read in the last render (EntityStore -> Set of keys), whose
+    // stores are observed by entityUpdater
+    this._entityReads = new Map();
+    this._entityUpdater = (store, hint) => this._updateEntities(store, hint);
+    this._entityUpdater.component = this;
+
+    // the listener of the input and change events of bound elements (see
+    // fronty-bind), and the pending debounced writes (element -> timeout)
+    this._boundBindingListener = this._bindingListener.bind(this);
+    this._bindingTimers = new Map();
+    // the node where the binding listener is placed, while there are bound
+    // elements
+    this._bindingEventsNode = null;
   }
 
   /**
@@ -1465,16 +5647,91 @@ class ModelComponent extends Component {
     this.models[modelName] = model;
   }
 
+  /**
+   * Adds a selector to this ModelComponent.<br>
+   *
+   * A selector is a function receiving the models of this ModelComponent
+   * (the same object the modelRenderer would receive, see
+   * {@link ModelComponent#addModel|addModel()}) and returning a value derived
+   * from them. If this ModelComponent has selectors, its modelRenderer
+   * receives an object with the selected values, arranged by name, instead of
+   * the models.
+   *
+   * <p>The selected values are memoized: on each update, selectors are
+   * evaluated and their results compared with the previous ones. If none
+   * changed, the render is skipped. This way, components can observe a large,
+   * shared model and only render when their slice of it changes.</p>
+   *
+   * @example
+   * var component = new Fronty.ModelComponent(
+   *   (selected) => '<span>' + selected.count + ' items in cart</span>',
+   *   appModel, 'cart-summary');
+   * component.addSelector('count', (model) => model.cart.items.length);
+   *
+   * @param {String} name The name of the selected value.
+   * @param {Function} selector The selector function.
+   * @param {Function} [equals=ModelComponent.shallowEqual] The function
+   *        comparing the previous and the new result of the selector.
+   */
+  addSelector(name, selector, equals) {
+    this._selectors[name] = {
+      selector: selector,
+      equals: equals ? equals : ModelComponent.shallowEqual,
+      evaluated: false,
+      value: undefined
+    };
+  }
+
+  /**
+   * Compares two values by identity or, if they are arrays or objects, by
+   * the identity of their elements or own properties.
+   *
+   * @param {Object} a A value.
+   * @param {Object} b Another value.
+   * @return {Boolean} Whether both values are shallowly equal.
+   */
+  static shallowEqual(a, b) {
+    if (Object.is(a, b)) {
+      return true;
+    }
+    if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object' ||
+      Array.isArray(a) !== Array.isArray(b)) {
+      return false;
+    }
+    let keys = Object.keys(a);
+    return keys.length === Object.keys(b).length &&
+      keys.every((key) => b.hasOwnProperty(key) && Object.is(a[key], b[key]));
+  }
+
   /**
    * The observer function added to all models this ModelComponent manages.<br>
    * This function simply calls {@link ModelComponent#render|render}, but
    * you can override it.
    *
+   * <p>If {@link ModelComponent#trackReads|trackReads} is enabled, the render
+   * is skipped if none of the values read in the previous render has
+   * changed.</p>
+   *
+   * <p>If this ModelComponent has selectors (see
+   * {@link ModelComponent#addSelector|addSelector()}), the render is skipped
+   * if no selected value changed.</p>
+   *
    * @param {Model} model The model that has been updated.
+   * @param {Object} [hint] The hint passed by the model.
+   * @param {Array.<Object>} [changes] The changes made in the model, if known.
    */
-  update(model) {
+  update(model, hint, changes) {
     //console.log('Component [#' + this.htmlNodeId + ']: received update from Model [' + model.name + ']');
-    this.render();
+    if (this.trackReads && this._modelReads !== null && !Model._dependenciesChanged(this._modelReads)) {
+      return;
+    }
+    if (this._hasSelectors()) {
+      if (!this._updateSelection()) {
+        return;
+      }
+      this._selectionUpdated = true;
+    }
+    this.scheduleRender();
   }
 
   // lifecycle management
@@ -1486,6 +5743,11 @@ class ModelComponent extends Component {
           this.models[modelName].removeObserver(this.updater);
         }
       }
+      this._observeEntities(new Map());
+      // pending debounced writes are discarded
+      this._bindingTimers.forEach((timer) => clearTimeout(timer));
+      this._bindingTimers = new Map();
+      this._placeBindingListener(null);
     }
     super.stop();
   }
@@ -1495,7 +5757,7 @@ class ModelComponent extends Component {
     if (this.stopped) {
       for (let modelName in this.models) {
         if (this.models.hasOwnProperty(modelName)) {
-          this.models[modelName].addObserver(this.updater);
+          this._observeModel(this.models[modelName]);
         }
       }
     }
@@ -1512,27 +5774,340 @@ class ModelComponent extends Component {
   setModel(model, modelName = 'default') {
     this.models[modelName].removeObserver(this.updater);
     this.models[modelName] = model;
-    this.models[modelName].addObserver(this.updater);
+    this._observeModel(this.models[modelName]);
     this.render();
   }
 
-  _mergeModelInOneObject() {
+  _observeModel(model) {
+    model.addObserver(this.updater);
+  }
+
+  _renderModels(modelRenderer) {
+    let result = EntityStore._trackReads(() => this._renderModelObject(modelRenderer));
+    if (!this.stopped) {
+      this._observeEntities(result.reads);
+    }
+    return result.value;
+  }
+
+  _renderModelObject(modelRenderer) {
+    if (this._hasSelectors()) {
+      // renders not caused by update() may come from other changes (e.g.: setModel())
+      if (!this._selectionUpdated) {
+        this._updateSelection();
+      }
+      this._selectionUpdated = false;
+      return modelRenderer(this._selection());
+    }
+    if (!this.trackReads) {
+      this._modelReads = null;
+      return modelRenderer(this._mergeModelInOneObject());
+    }
+    let tracker = Model._createTracker();
+    try {
+      return modelRenderer(this._mergeModelInOneObject(tracker));
+    } finally {
+      tracker.stop();
+      this._modelReads = tracker.dependencies;
+    }
+  }
+
+  // If a tracker is given, the models are wrapped by it, in order to record
+  // the properties read.
+  _mergeModelInOneObject(tracker) {
+    let wrap = (model) => (tracker && model !== null && typeof model === 'object') ?
+      tracker.wrap(model) : model;
+
     if (Object.keys(this.models).length === 1) {
-      return this.models['default'];
+      return wrap(this.models['default']);
     }
     var context = {};
     let modelNames = Object.keys(this.models);
     for (let i = 0; i < modelNames.length; i++) {
       let modelName = modelNames[i];
-      if (modelName === 'default') {
+      if (modelName === 'default' && tracker) {
+        // getters, instead of copies, so the reads are recorded
+        ModelComponent._defineGetters(context, wrap(this.models['default']),
+          Object.keys(this.models['default']));
+      } else if (modelName === 'default') {
         context = Object.assign(context, this.models['default']);
       } else {
-        context[modelName] = this.models[modelName];
+        context[modelName] = wrap(this.models[modelName]);
       }
     }
     return context;
   }
 
+  static _defineGetters(object, source, keys) {
+    keys.forEach((key) => {
+      Object.defineProperty(object, key, {
+        get: () => source[key],
+        enumerable: true,
+        configurable: true
+      });
+    });
+  }
+
+  // observes the stores of the given entity reads, instead of the previous ones
+  _observeEntities(reads) {
+    let models = Object.keys(this.models).map((modelName) => this.models[modelName]);
+    this._entityReads.forEach((keys, store) => {
+      if (!reads.has(store) && models.indexOf(store) === -1) {
+        store.removeObserver(this._entityUpdater);
+      }
+    });
+    reads.forEach((keys, store) => {
+      // stores which are models of this component already cause renders
+      if (!this._entityReads.has(store) && models.indexOf(store) === -1) {
+        store.addObserver(this._entityUpdater);
+      }
+    });
+    this._entityReads = reads;
+  }
+
+  _updateEntities(store, hint) {
+    let keys = this._entityReads.get(store);
+    if (keys === undefined || (hint && Array.isArray(hint.entities) &&
+        !hint.entities.some((entity) => keys.has(EntityStore._key(entity.type, entity.id))))) {
+      return;
+    }
+    this.scheduleRender();
+  }
+
+  _hasSelectors() {
+    return Object.keys(this._selectors).length > 0;
+  }
+
+  // evaluates the selectors, returning whether any selected value changed
+  _updateSelection() {
+    let models = this._mergeModelInOneObject();
+    let changed = false;
+    Object.keys(this._selectors).forEach((name) => {
+      let selector = this._selectors[name];
+      let value = selector.selector(models);
+      if (!selector.evaluated || !selector.equals(selector.value, value)) {
+        selector.evaluated = true;
+        selector.value = value;
+        changed = true;
+      }
+    });
+    return changed;
+  }
+
+  _selection() {
+    let selection = {};
+    Object.keys(this._selectors).forEach((name) => selection[name] = this._selectors[name].value);
+    return selection;
+  }
+
+  //// two-way binding "private" methods
+
+  // shows the model values in the bound elements of this component
+  _updateBindings() {
+    let root = this._getComponentNode();
+    if (root === null) {
+      return;
+    }
+    let eventsNode = this._getEventsNode();
+    let boundElements = Array.prototype.filter.call(root.querySelectorAll('[fronty-bind]'),
+      (element) => this._ownsBoundElement(eventsNode, element));
+    this._placeBindingListener(boundElements.length > 0 ? eventsNode : null);
+    boundElements.forEach((element) => {
+      let binding = this._resolveBinding(element.getAttribute('fronty-bind'));
+      if (binding !== null) {
+        ModelComponent._showBoundValue(element, binding.owner[binding.key]);
+      }
+    });
+  }
+
+  // moves the listener of the input and change events to the given node (or
+  // removes it, if null)
+  _placeBindingListener(node) {
+    if (node === this._bindingEventsNode) {
+      return;
+    }
+    ['input', 'change'].forEach((eventType) => {
+      if (this._bindingEventsNode !== null) {
+        this._bindingEventsNode.removeEventListener(eventType, this._boundBindingListener);
+      }
+      if (node !== null) {
+        node.addEventListener(eventType, this._boundBindingListener);
+      }
+    });
+    this._bindingEventsNode = node;
+  }
+
+  _bindingListener(event) {
+    let element = event.target;
+    let root = this._getComponentNode();
+    if (this.stopped || root === null || !element.hasAttribute || !element.hasAttribute('fronty-bind') ||
+      !root.contains(element) || !this._ownsBoundElement(this._getEventsNode(), element) ||
+      event.type !== ModelComponent._bindingEventType(element)) {
+      return;
+    }
+    let delay = parseInt(element.getAttribute('fronty-bind-debounce'), 10);
+    if (delay > 0) {
+      clearTimeout(this._bindingTimers.get(element));
+      this._bindingTimers.set(element, setTimeout(() => {
+        this._bindingTimers.delete(element);
+        this._writeBinding(element);
+      }, delay));
+    } else {
+      this._writeBinding(element);
+    }
+  }
+
+  _writeBinding(element) {
+    let path = element.getAttribute('fronty-bind');
+    let binding = this._resolveBinding(path);
+    if (binding === null) {
+      return;
+    }
+    let current = binding.owner[binding.key];
+    let value = ModelComponent._boundValue(element, current);
+    if (value === undefined || ModelComponent.shallowEqual(value, current)) {
+      return;
+    }
+    if (binding.model !== null) {
+      binding.model.set(() => binding.owner[binding.key] = value, {
+        binding: path
+      });
+    } else {
+      binding.owner[binding.key] = value;
+    }
+  }
+
+  // whether the element is bound by this component, and not by a child. The
+  // elements in slot outlets belong to the parent of the component rendering
+  // the outlet (see Component#_projectSlots())
+  _ownsBoundElement(eventsNode, element) {
+    let projections = 0;
+    for (let node = element; node !== eventsNode; node = node.parentNode) {
+      if (node === null) {
+        return false;
+      }
+      if (Component._isSlotOutlet(node)) {
+        projections++;
+      } else if (node.id && this.childComponentIds[node.id] !== undefined) {
+        if (projections === 0) {
+          return false;
+        }
+        projections--;
+      }
+    }
+    return projections === 0;
+  }
+
+  // resolves a binding path to the object owning the bound property and the
+  // closest Model containing it, which is updated via set()
+  _resolveBinding(path) {
+    let keys = path.split(/[.\[\]]/).filter((key) => key.length > 0);
+    let modelNames = Object.keys(this.models);
+    let owner = (modelNames.length > 1 && keys.length > 1 && keys[0] !== 'default' &&
+      this.models.hasOwnProperty(keys[0])) ? this.models[keys.shift()] : this.models['default'];
+    let model = owner instanceof Model ? owner : null;
+    while (keys.length > 1 && owner !== null && typeof owner === 'object') {
+      owner = owner[keys.shift()];
+      if (owner instanceof Model) {
+        model = owner;
+      }
+    }
+    if (keys.length !== 1 || owner === null || typeof owner !== 'object') {
+      return null;
+    }
+    return {
+      model: model,
+      owner: owner,
+      key: keys[0]
+    };
+  }
+
+  static _bindingEventType(element) {
+    let type = element.type;
+    if (element.hasAttribute('fronty-bind-lazy') || type === 'checkbox' || type === 'radio' ||
+      type === 'select-one' || type === 'select-multiple') {
+      return 'change';
+    }
+    return 'input';
+  }
+
+  // the value of a bound element, given the current value of the property
+  // (only needed by checkboxes bound to Arrays). Unchecked radios, and
+  // elements whose value cannot be parsed, have no value.
+  static _boundValue(element, current) {
+    let type = ModelComponent._bindingType(element);
+    switch (element.type) {
+      case 'checkbox':
+        if (Array.isArray(current)) {
+          let value = ModelComponent._coerce(element.value, type);
+          let others = current.filter((item) => String(item) !== element.value);
+          return value === undefined ? undefined : (element.checked ? others.concat(value) : others);
+        }
+        return element.checked;
+      case 'radio':
+        return element.checked ? ModelComponent._coerce(element.value, type) : undefined;
+      case 'select-multiple':
+        let values = Array.prototype.filter.call(element.options, (option) => option.selected)
+          .map((option) => ModelComponent._coerce(option.value, type));
+        return values.indexOf(undefined) === -1 ? values : undefined;
+      default:
+        // e.g.: '-' in a numeric input, whose value is then empty
+        if (element.validity && element.validity.badInput) {
+          return undefined;
+        }
+        return ModelComponent._coerce(element.value, type);
+    }
+  }
+
+  // the type of the values of a bound element: the one given by its
+  // fronty-bind-type attribute or, for numeric inputs, 'number'
+  static _bindingType(element) {
+    if (element.hasAttribute('fronty-bind-type')) {
+      return element.getAttribute('fronty-bind-type');
+    }
+    return element.type === 'number' || element.type === 'range' ? 'number' : 'string';
+  }
+
+  static _showBoundValue(element, value) {
+    // keep the element untouched if it already shows the value (e.g.: while
+    // typing '1.' in a numeric property)
+    let shown = ModelComponent._boundValue(element, value);
+    if (shown !== undefined && ModelComponent.shallowEqual(shown, value)) {
+      return;
+    }
+    let isShown = (option) => Array.isArray(value) ?
+      value.some((item) => String(item) === option.value) : String(value) === option.value;
+    switch (element.type) {
+      case 'checkbox':
+        element.checked = Array.isArray(value) ? isShown(element) : !!value;
+        break;
+      case 'radio':
+        element.checked = isShown(element);
+        break;
+      case 'select-multiple':
+        Array.prototype.forEach.call(element.options, (option) => option.selected = isShown(option));
+        break;
+      default:
+        element.value = (value === null || value === undefined) ? '' : String(value);
+    }
+  }
+
+  // converts a string to the given type ('string', 'number' or 'boolean'),
+  // returning undefined if it cannot be parsed. Empty numbers are null.
+  static _coerce(value, type) {
+    switch (type) {
+      case 'number':
+        if (value.trim() === '') {
+          return null;
+        }
+        return isNaN(Number(value)) ? undefined : Number(value);
+      case 'boolean':
+        return value === 'true' || value === 'false' ? value === 'true' : undefined;
+      default:
+        return value;
+    }
+  }
+
 
 
   /**
@@ -1552,9 +6127,7 @@ class ModelComponent extends Component {
    * @see {@link Component#childTags}
    */
   createChildComponent(className, element, id) {
-    let modelAtt = element.getAttribute('model');
-
-    let modelItem = this._evaluateModelAttribute(modelAtt);
+    let modelItem = this._childModelItem(element);
 
     let newComponent = this.createChildModelComponent(className, element, id, modelItem);
 
@@ -1566,8 +6139,7 @@ class ModelComponent extends Component {
   updateChildComponent(className, element, nodeId) {
     let component = this.getChildComponent(nodeId);
     let currentModel = component.modelItemFromAttribute;
-    let modelAtt = element.getAttribute('model');
-    let modelItem = this._evaluateModelAttribute(modelAtt);
+    let modelItem = this._childModelItem(element);
     if (currentModel !== modelItem) {
       component.setModel(modelItem);
       component.modelItemFromAttribute = modelItem;
@@ -1596,8 +6168,13 @@ class ModelComponent extends Component {
 
   // "private"
 
-  _evaluateModelAttribute(modelAtt) {
-    let oneModelObject = this._mergeModelInOneObject();
+  // the model for the child component placed in the given element
+  _childModelItem(element) {
+    return this._evaluateModelAttribute(element.getAttribute('model'));
+  }
+
+  _evaluateModelAttribute(modelAtt, oneModelObject) {
+    oneModelObject = oneModelObject !== undefined ? oneModelObject : this._mergeModelInOneObject();
     let modelItem = null;
     if (modelAtt.indexOf('(') === -1) {
       // for simple expressions, do not use eval (slower)
@@ -1619,6 +6196,206 @@ class ModelComponent extends Component {
   }
 }
 
+// the observers of ModelComponents are notified parents first (see
+// Component.RenderScheduler)
+Model.setNotificationScheduler((observers, notify) => Component._renderScheduler.notify(observers, notify));
+
+/**
+ * Class representing a component rendering a {@link ModelList}.<br>
+ *
+ * A ModelListComponent renders each item of the list with an item renderer,
+ * and places the resulting rows inside a container element. When the list
+ * changes through its operations (add, remove, move...), only the affected rows
+ * are rendered and patched, instead of re-rendering the whole list. Other
+ * changes cause a regular render.
+ *
+ * <p>Rows must be the only child elements of the container. Child
+ * components inside a row (via <code>fronty-component</code> or child tags)
+ * receive the item of the row as model or, if they have a <code>model</code>
+ * attribute, the result of evaluating it against the item.</p>
+ *
+ * @example
+ * var todos = new Fronty.ModelList('todos');
+ * var component = new Fronty.ModelListComponent(
+ *   (item) => '<li>' + item.description + '</li>', // item renderer
+ *   todos,
+ *   'todolist', // HTML element id
+ *   (rows) => '<ul class="todos">' + rows + '</ul>' // container renderer
+ * );
+ * component.start();
+ * todos.add({description: 'lunch'}); // only the new row is rendered
+ *
+ * @extends ModelComponent
+ */
+class ModelListComponent extends ModelComponent {
+
+  /**
+   * Creates a new ModelListComponent.
+   *
+   * @param {Function} itemRenderer A function receiving an item and its index
+   *        and returning the HTML of its row, with a single root element.
+   * @param {ModelList} list The list to render.
+   * @param {String} htmlNodeId The id of the HTML element where this Component should
+   *                              render to.
+   * @param {Function} [containerRenderer] A function receiving the HTML of all
+   *        the rows and the list, and returning the HTML of the container. By
+   *        default, rows are placed inside a <code>div</code>.
+   * @param {Array.<String>} [childTags] An optional Array of strings of custom-tags for dynamically created child Components.
+   */
+  constructor(itemRenderer, list, htmlNodeId, containerRenderer, childTags) {
+    super(
+      () => this.containerRenderer(
+        this.list.items.map((item, index) => this.itemRenderer(item, index)).join(''),
+        this.list),
+      list, htmlNodeId, childTags
+    );
+
+    /**
+     * The list rendered by this component.
+     *
+     * @name ModelListComponent#list
+     * @type ModelList
+     */
+    this.list = list;
+
+    /**
+     * The renderer function of the items.
+     *
+     * @name ModelListComponent#itemRenderer
+     * @type Function
+     */
+    this.itemRenderer = itemRenderer;
+
+    /**
+     * The renderer function of the container.
+     *
+     * @name ModelListComponent#containerRenderer
+     * @type Function
+     */
+    this.containerRenderer = containerRenderer ? containerRenderer : (rows) => '<div>' + rows + '</div>';
+  }
+
+  /**
+   * Overrides {@link ModelComponent#update} in order to patch only the
+   * affected rows when the list notifies list changes.
+   *
+   * @param {Model} model The model that has been updated.
+   * @param {Object} [hint] The hint passed by the model.
+   * @param {Array.<Object>} [changes] The changes made in the model, if known.
+   */
+  update(model, hint, changes) {
+    if (model === this.list && hint && hint.listChanges && this._canPatchRows()) {
+      this._patchRows(hint.listChanges);
+    } else {
+      super.update(model, hint, changes);
+    }
+  }
+
+  setModel(model, modelName = 'default') {
+    if (modelName === 'default') {
+      this.list = model;
+    }
+    super.setModel(model, modelName);
+  }
+
+  // "private" methods
+
+  _canPatchRows() {
+    // a scheduled render will render all the rows anyway
+    return !this.stopped && this.rendering !== true && this._previousVirtualDOM !== null &&
+      this._getComponentNode() !== null && !this.isRenderScheduled();
+  }
+
+  _patchRows(listChanges) {
+    this.rendering = true;
+    this._renderPhase = 'render';
+    this._childFailure = null;
+
+    this._guardRender(() => this._applyListChanges(listChanges));
+  }
+
+  _applyListChanges(listChanges) {
+    let container = this._previousVirtualDOM.firstChild;
+    let realContainer = this._resolveRealNode(container);
+
+    listChanges.forEach((change) => {
+      let rows = ModelListComponent._elementChildren(container);
+
+      switch (change.type) {
+        case ModelList.CHANGE_INSERT:
+          this._renderRow(change.item, change.index, (row) => {
+            this._insertRow(container, realContainer, row, this._resolveRealNode(row), change.index);
+          });
+          break;
+        case ModelList.CHANGE_REMOVE:
+          this._removeRow(rows[change.index]);
+          break;
+        case ModelList.CHANGE_MOVE:
+          let realRow = this._resolveRealNode(rows[change.from]);
+          this._removeRow(rows[change.from]);
+          this._insertRow(container, realContainer, rows[change.from], realRow, change.to);
+          break;
+        case ModelList.CHANGE_REPLACE:
+          this._removeRow(rows[change.index]);
+          this._renderRow(change.item, change.index, (row) => {
+            this._insertRow(container, realContainer, row, this._resolveRealNode(row), change.index);
+          });
+          break;
+      }
+    });
+
+    this._renderPhase = 'createChildren';
+    this._createChildComponents();
+
+    this._updateBindings();
+
+    this.rendering = false;
+  }
+
+  // renders a row, cloning it to the real DOM
+  _renderRow(item, index, callback) {
+    this.renderNewDOM((row) => {
+      this._cloneAndIndex(row);
+      callback(row);
+    }, () => this.itemRenderer(item, index), this._resolveRealNode(this._previousVirtualDOM.firstChild));
+  }
+
+  _insertRow(container, realContainer, row, realRow, index) {
+    let next = ModelListComponent._elementChildren(container)[index];
+    if (next !== undefined) {
+      TreeComparator._insertBefore(realContainer, realRow, this._resolveRealNode(next));
+      container.insertBefore(row, next);
+    } else {
+      TreeComparator._insertBefore(realContainer, realRow, null);
+      container.appendChild(row);
+    }
+  }
+
+  _removeRow(row) {
+    TreeComparator._removeNode(this._resolveRealNode(row));
+    row.parentNode.removeChild(row);
+  }
+
+  _childModelItem(element) {
+    // find the row containing the element
+    let container = this._previousVirtualDOM.firstChild;
+    let row = element;
+    while (row.parentNode !== null && row.parentNode !== container) {
+      row = row.parentNode;
+    }
+    if (row.parentNode !== container) {
+      return super._childModelItem(element);
+    }
+    let item = this.list.items[ModelListComponent._elementChildren(container).indexOf(row)];
+    let modelAtt = element.getAttribute('model');
+    return modelAtt ? this._evaluateModelAttribute(modelAtt, item) : item;
+  }
+
+  static _elementChildren(node) {
+    return Array.prototype.filter.call(node.childNodes, (child) => child.nodeType === Node.ELEMENT_NODE);
+  }
+}
+
 /**
  *  Class representing a router component.<br>
  *
@@ -1705,10 +6482,13 @@ class RouterComponent extends ModelComponent {
    * such a case, the RouterComponent goes to the page the model indicates.
    *
    * @param {Model} model The model that has been updated.
+   * @param {Object} [hint] The hint passed by the model.
+   * @param {Array.<Object>} [changes] The changes made in the model, if known.
    */
-  update(model) {
-    super.update(model);
-    if (model == this._routerModel) {
+  update(model, hint, changes) {
+    super.update(model, hint, changes);
+    if (model == this._routerModel || (hint && hint.transaction === true &&
+        hint.changes.some((change) => change.model === this._routerModel))) {
       this._goToCurrentPage();
     }
   }
@@ -1834,10 +6614,65 @@ class RouterComponent extends ModelComponent {
   }
 }
 
+/**
+ * Runs a function making changes in Models, deferring their notifications
+ * until it returns. Shorthand for {@link Model.transaction}.
+ *
+ * @param {Function} updater The function making the changes.
+ * @return The value returned by the updater function.
+ */
+function transaction(updater) {
+  return Model.transaction(updater);
+}
+
+/**
+ * Sets the function handling the errors thrown by Model observers. Shorthand
+ * for {@link Model.onError}.
+ *
+ * @param {Function} [handler] The error handler. If not given, the default
+ *        handler is restored.
+ * @return {Function} The previous error handler.
+ */
+function onError(handler) {
+  return Model.onError(handler);
+}
+
+/**
+ * Renders the Components with a scheduled render immediately. Shorthand for
+ * {@link Component.flush}.
+ *
+ * @return {Promise} A resolved Promise.
+ */
+function flush() {
+  return Component.flush();
+}
+
+/**
+ * Returns a Promise resolved once the scheduled renders are done. Shorthand
+ * for {@link Component.nextRender}.
+ *
+ * @return {Promise} The Promise.
+ */
+function nextRender() {
+  return Component.nextRender();
+}
+
 export {
   Model,
   ModelComponent,
   Component,
   RouterComponent,
-  TreeComparator
+  TreeComparator,
+  ReactiveModel,
+  ModelList,
+  ModelListComponent,
+  Store,
+  EntityStore,
+  ModelPersistence,
+  MemoryStorage,
+  ModelSync,
+  transaction,
+  onError,
+  flush,
+  nextRender
 };
@@ -33,11 +33,13 @@ describe('Component', () => {
 
   });
 
-  it('should throw an exception if the template has more than one root', () =>{
+  it('should render templates with more than one root', () =>{
     var component = new Fronty.Component(() => '<div>hello</div><div>another root</div>', 'componentId');
 
-    expect(() => component.start()).toThrow("Rendering function MUST return a tree with a single root element <div>hello</div><div>another root</div>");
+    component.start();
 
+    var roots = Array.prototype.map.call(document.getElementById('fixture').children, (root) => root.outerHTML);
+    expect(roots).toEqual(['<div>hello</div>', '<div>another root</div>']);
   });
 
   it('should render a static template via direct-DOM rendering', () => {//
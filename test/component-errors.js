@@ -0,0 +1,187 @@
+describe('Component', () => {
+  beforeEach(() => {
+    var fixture = '<div id="fixture"><div id="componentId"></div></div>';
+
+    document.body.insertAdjacentHTML(
+      'afterbegin',
+      fixture);
+  });
+
+  // remove the html fixture from the DOM
+  afterEach(function() {
+    document.body.removeChild(document.getElementById('fixture'));
+  });
+
+  function text(id) {
+    return document.getElementById(id).textContent;
+  }
+
+  it('should recover from failed renders', () => {
+    var fail = true;
+    var component = new Fronty.Component(() => {
+      if (fail) {
+        throw new Error('broken template');
+      }
+      return '<div>ok</div>';
+    }, 'componentId');
+
+    expect(() => component.start()).toThrowError('broken template');
+    expect(component.rendering).toBe(false);
+
+    fail = false;
+    component.render();
+
+    expect(text('componentId')).toBe('ok');
+  });
+
+  it('should render the fallback when its renderer fails', () => {
+    var fail = true;
+    var errors = [];
+    var component = new Fronty.Component(() => {
+      if (fail) {
+        throw new Error('broken template');
+      }
+      return '<div>ok</div>';
+    }, 'componentId');
+    component.fallbackRenderer = (error) => '<div>' + error.message + '</div>';
+    component.onError = (error, info) => errors.push(info);
+
+    component.start();
+    expect(text('componentId')).toBe('broken template');
+    expect(errors).toEqual([{component: component, phase: 'render'}]);
+
+    fail = false;
+    component.render();
+    expect(text('componentId')).toBe('ok');
+  });
+
+  it('should catch the errors of hooks', () => {
+    var errors = [];
+    var component = new Fronty.Component(() => '<div>ok</div>', 'componentId');
+    component.fallbackRenderer = () => '<div>failed</div>';
+    component.onError = (error, info) => errors.push(info.phase);
+    component.afterRender = () => {
+      throw new Error('afterRender');
+    };
+
+    component.start();
+    expect(text('componentId')).toBe('failed');
+
+    component.afterRender = () => {};
+    component.beforeRender = () => {
+      throw new Error('beforeRender');
+    };
+    component.render();
+
+    expect(errors).toEqual(['afterRender', 'beforeRender']);
+    expect(text('componentId')).toBe('failed');
+  });
+
+  it('should render the fallback when its children fail', () => {
+    var fail = true;
+    var errors = [];
+    var child = null;
+    var parent = new Fronty.Component(() => '<div><p>parent</p><div fronty-component="Failing" id="child"></div></div>',
+      'componentId');
+    parent.fallbackRenderer = () => '<div>failed</div>';
+    parent.onError = (error, info) => errors.push(info);
+    parent.createChildComponent = (className, element, id) => {
+      child = new Fronty.Component(() => {
+        if (fail) {
+          throw new Error('broken child');
+        }
+        return '<div>child</div>';
+      }, id);
+      return child;
+    };
+
+    parent.start();
+
+    expect(text('componentId')).toBe('failed');
+    expect(errors).toEqual([{component: child, phase: 'render'}]);
+    expect(parent.getChildComponents().length).toBe(0);
+    expect(child.stopped).toBe(true);
+
+    fail = false;
+    parent.render();
+
+    expect(text('child')).toBe('child');
+    expect(parent.getChildComponents()).toEqual([child]);
+  });
+
+  it('should render the fallback of the closest boundary when a child re-render fails', () => {
+    var fail = false;
+    var child = new Fronty.Component(() => {
+      if (fail) {
+        throw new Error('broken child');
+      }
+      return '<div>child</div>';
+    }, 'child');
+    var parent = new Fronty.Component(() => '<div><div id="child"></div></div>', 'componentId');
+    parent.fallbackRenderer = () => '<div>failed</div>';
+    parent.addChildComponent(child);
+    parent.start();
+
+    fail = true;
+    child.render();
+
+    expect(text('componentId')).toBe('failed');
+    expect(child.rendering).toBe(false);
+  });
+
+  it('should report where reused errors are thrown in each render', () => {
+    var error = new Error('not ready');
+    var failChild = false;
+    var failParent = false;
+    var childErrors = [];
+    var errors = [];
+    var child = new Fronty.Component(() => {
+      if (failChild) {
+        throw error;
+      }
+      return '<div>child</div>';
+    }, 'child');
+    var parent = new Fronty.Component(() => {
+      if (failParent) {
+        throw error;
+      }
+      return '<div><div id="child"></div></div>';
+    }, 'componentId');
+    parent.addChildComponent(child);
+    parent.start();
+    parent.afterRender = () => {
+      failChild = true;
+      try {
+        child.render();
+      } catch (e) {
+        childErrors.push(e);
+      }
+      failChild = false;
+    };
+    parent.fallbackRenderer = () => '<div>failed</div>';
+    parent.onError = (error, info) => errors.push(info);
+    parent.render();
+    expect(childErrors).toEqual([error]);
+
+    failParent = true;
+    parent.render();
+
+    expect(errors).toEqual([{component: parent, phase: 'render'}]);
+  });
+
+  it('should catch the errors creating children', () => {
+    var errors = [];
+    var parent = new Fronty.Component(() => '<div><div fronty-component="Missing" id="child"></div></div>',
+      'componentId');
+    parent.fallbackRenderer = () => '<div>failed</div>';
+    parent.onError = (error, info) => errors.push(info);
+    parent.createChildComponent = () => {
+      throw new Error('unknown component');
+    };
+
+    parent.start();
+
+    expect(text('componentId')).toBe('failed');
+    expect(errors).toEqual([{component: parent, phase: 'createChildren'}]);
+  });
+});
@@ -0,0 +1,116 @@
+describe('Component', () => {
+  beforeEach(() => {
+    var fixture = '<div id="fixture"><div id="componentId"></div></div>';
+
+    document.body.insertAdjacentHTML(
+      'afterbegin',
+      fixture);
+  });
+
+  // remove the html fixture from the DOM
+  afterEach(function() {
+    document.body.removeChild(document.getElementById('fixture'));
+  });
+
+  // the outer HTML of the elements inside the given one
+  function elements(id) {
+    return Array.prototype.map.call(document.getElementById(id).children, (element) => element.outerHTML);
+  }
+
+  it('should patch fragments', () => {
+    var items = ['a', 'b'];
+    var component = new Fronty.Component(
+      () => items.map((item) => '<p>' + item + '</p>').join(''), 'componentId');
+
+    component.start();
+    expect(elements('fixture')).toEqual(['<p>a</p>', '<p>b</p>']);
+    var first = document.getElementById('fixture').children[0];
+
+    items = ['a', 'c', 'd'];
+    component.render();
+    expect(elements('fixture')).toEqual(['<p>a</p>', '<p>c</p>', '<p>d</p>']);
+    expect(document.getElementById('fixture').children[0]).toBe(first);
+
+    items = ['e'];
+    component.render();
+    expect(elements('fixture')).toEqual(['<p id="componentId">e</p>']);
+
+    items = ['f', 'g'];
+    component.render();
+    expect(elements('fixture')).toEqual(['<p>f</p>', '<p>g</p>']);
+  });
+
+  it('should render fragments again after restarting', () => {
+    var component = new Fronty.Component(() => '<p>a</p><p>b</p>', 'componentId');
+    component.start();
+    component.stop();
+    component.start();
+
+    expect(elements('fixture')).toEqual(['<p>a</p>', '<p>b</p>']);
+  });
+
+  it('should delegate the events of fragments', () => {
+    document.getElementById('fixture').insertAdjacentHTML('beforeend', '<p class="item">outside</p>');
+    var component = new Fronty.Component(() => '<p class="item">a</p><p class="item">b</p>', 'componentId');
+    var clicked = [];
+    component.addEventListener('click', '.item', (event) => clicked.push(event.target.textContent));
+    component.start();
+
+    var paragraphs = document.querySelectorAll('#fixture .item');
+    Array.prototype.forEach.call(paragraphs, (paragraph) => paragraph.click());
+
+    expect(clicked).toEqual(['a', 'b']);
+  });
+
+  it('should restore child components rendering fragments', () => {
+    var before = false;
+    var parent = new Fronty.Component(() => '<div>' + (before ? '<span>before</span>' : '') +
+      '<div id="child"></div><span>after</span></div>', 'componentId');
+    var child = new Fronty.Component(() => '<b>1</b><b>2</b>', 'child');
+    parent.addChildComponent(child);
+    parent.start();
+
+    expect(elements('componentId')).toEqual(['<b>1</b>', '<b>2</b>', '<span>after</span>']);
+
+    before = true;
+    parent.render();
+    expect(elements('componentId')).toEqual(['<span>before</span>', '<b>1</b>', '<b>2</b>',
+      '<span>after</span>'
+    ]);
+
+    child.renderer = () => '<b>3</b>';
+    child.render();
+    expect(elements('componentId')).toEqual(['<span>before</span>', '<b id="child">3</b>',
+      '<span>after</span>'
+    ]);
+  });
+
+  it('should create child components rendering fragments', () => {
+    var shown = true;
+    var parent = new Fronty.Component(() => '<div>' +
+      (shown ? '<div fronty-component="Fragment" id="child"></div>' : '') + '</div>', 'componentId');
+    parent.createChildComponent = (className, element, id) =>
+      new Fronty.Component(() => '<b>1</b><b>2</b>', id);
+    parent.start();
+
+    parent.render();
+    expect(parent.getChildComponents().length).toBe(1);
+    expect(elements('componentId')).toEqual(['<b>1</b>', '<b>2</b>']);
+
+    shown = false;
+    parent.render();
+    expect(parent.getChildComponents().length).toBe(0);
+    expect(elements('componentId')).toEqual([]);
+  });
+
+  it('should render several table rows', () => {
+    document.getElementById('fixture').innerHTML = '<table><tbody><tr id="rows"></tr></tbody></table>';
+    var component = new Fronty.Component(
+      () => '<tr class="a"><td>1</td></tr><tr class="b"><td>2</td></tr>', 'rows');
+
+    component.start();
+
+    expect(document.querySelectorAll('#fixture tr').length).toBe(2);
+    expect(document.querySelector('#fixture tbody').textContent).toBe('12');
+  });
+});
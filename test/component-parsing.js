@@ -0,0 +1,87 @@
+describe('Component', () => {
+  beforeEach(() => {
+    var fixture = '<div id="fixture"><div id="componentId"></div></div>';
+
+    document.body.insertAdjacentHTML(
+      'afterbegin',
+      fixture);
+  });
+
+  // remove the html fixture from the DOM
+  afterEach(function() {
+    document.body.removeChild(document.getElementById('fixture'));
+  });
+
+  // roots which are only valid in some contexts: the context, where the slot
+  // element is placed, the template and the expected rendered root
+  var cases = {
+    'tr': ['<table><tbody>{slot}</tbody></table>', 'tr', '<tr><td>1</td></tr>',
+      '<tr id="slot"><td>1</td></tr>'
+    ],
+    'tr with attributes': ['<table><tbody>{slot}</tbody></table>', 'tr', '<tr class="row"><td>1</td></tr>',
+      '<tr class="row" id="slot"><td>1</td></tr>'
+    ],
+    'td': ['<table><tbody><tr>{slot}</tr></tbody></table>', 'td', '<td>1</td>', '<td id="slot">1</td>'],
+    'th': ['<table><thead><tr>{slot}</tr></thead></table>', 'th', '<th>1</th>', '<th id="slot">1</th>'],
+    'thead': ['<table>{slot}</table>', 'thead', '<thead><tr><th>1</th></tr></thead>',
+      '<thead id="slot"><tr><th>1</th></tr></thead>'
+    ],
+    'tbody': ['<table>{slot}</table>', 'tbody', '<tbody><tr><td>1</td></tr></tbody>',
+      '<tbody id="slot"><tr><td>1</td></tr></tbody>'
+    ],
+    'tfoot': ['<table>{slot}</table>', 'tfoot', '<tfoot><tr><td>1</td></tr></tfoot>',
+      '<tfoot id="slot"><tr><td>1</td></tr></tfoot>'
+    ],
+    'caption': ['<table>{slot}</table>', 'caption', '<caption>Title</caption>', '<caption id="slot">Title</caption>'],
+    'colgroup': ['<table>{slot}</table>', 'colgroup', '<colgroup><col span="2"></colgroup>',
+      '<colgroup id="slot"><col span="2"></colgroup>'
+    ],
+    'col': ['<table><colgroup>{slot}</colgroup></table>', 'col', '<col span="2">', '<col span="2" id="slot">'],
+    'option': ['<select>{slot}</select>', 'option', '<option value="1">One</option>',
+      '<option value="1" id="slot">One</option>'
+    ],
+    'optgroup': ['<select>{slot}</select>', 'optgroup', '<optgroup label="Numbers"><option>1</option></optgroup>',
+      '<optgroup label="Numbers" id="slot"><option>1</option></optgroup>'
+    ],
+    'li': ['<ul>{slot}</ul>', 'li', '<li>Item</li>', '<li id="slot">Item</li>'],
+    'dt': ['<dl>{slot}</dl>', 'dt', '<dt>Term</dt>', '<dt id="slot">Term</dt>']
+  };
+
+  Object.keys(cases).forEach((name) => {
+    var context = cases[name][0];
+    var tagName = cases[name][1];
+    var template = cases[name][2];
+    var expected = cases[name][3];
+
+    it('should parse ' + name + ' roots', () => {
+      document.getElementById('componentId').innerHTML =
+        context.replace('{slot}', '<' + tagName + ' id="slot"></' + tagName + '>');
+      var component = new Fronty.Component(() => template, 'slot');
+
+      component.start();
+
+      expect(document.getElementById('slot').outerHTML).toBe(expected);
+    });
+
+    it('should parse ' + name + ' roots of child components', () => {
+      var parent = new Fronty.Component(() => '<div>' +
+        context.replace('{slot}', '<' + tagName + ' id="slot" fronty-component="Child"></' + tagName + '>') +
+        '</div>', 'componentId');
+      parent.createChildComponent = (className, element, id) => new Fronty.Component(() => template, id);
+
+      parent.start();
+
+      expect(parent.getChildComponents().length).toBe(1);
+      expect(document.getElementById('slot').outerHTML).toBe(expected);
+    });
+  });
+
+  it('should parse several context-sensitive roots', () => {
+    document.getElementById('componentId').innerHTML = '<select><option id="slot"></option></select>';
+    var component = new Fronty.Component(() => '<option>1</option><option>2</option>', 'slot');
+
+    component.start();
+
+    expect(document.querySelector('#fixture select').options.length).toBe(2);
+  });
+});
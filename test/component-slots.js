@@ -0,0 +1,159 @@
+describe('Component', () => {
+  beforeEach(() => {
+    var fixture = '<div id="fixture"><div id="componentId"></div></div>';
+
+    document.body.insertAdjacentHTML(
+      'afterbegin',
+      fixture);
+  });
+
+  // remove the html fixture from the DOM
+  afterEach(function() {
+    document.body.removeChild(document.getElementById('fixture'));
+  });
+
+  function query(selector) {
+    return document.querySelector('#fixture ' + selector);
+  }
+
+  function createParent(renderer, childRenderer, childTags) {
+    var parent = new Fronty.Component(renderer, 'componentId', childTags);
+    parent.createChildComponent = (className, element, id) => {
+      return new Fronty.Component(className === 'Card' ? childRenderer : () => '<span>' + className + '</span>', id);
+    };
+    return parent;
+  }
+
+  it('should project the contents of child elements into the default slot', () => {
+    var text = 'first';
+    var parent = createParent(() => '<div><div fronty-component="Card" id="card"><p>' + text + '</p></div></div>',
+      () => '<div class="card"><fronty-slot></fronty-slot></div>');
+
+    parent.start();
+    var paragraph = query('#card.card > fronty-slot > p');
+    expect(paragraph.textContent).toBe('first');
+
+    text = 'second';
+    parent.render();
+
+    // the projected content is patched by the parent
+    expect(query('#card.card > fronty-slot > p')).toBe(paragraph);
+    expect(paragraph.textContent).toBe('second');
+  });
+
+  it('should project contents into named slots', () => {
+    var items = ['one'];
+    var parent = createParent(() => '<div><div fronty-component="Card" id="card">' +
+        '<h2 fronty-slot="title">Title</h2>' + items.map((item) => '<p>' + item + '</p>').join('') + '</div></div>',
+      () => '<div><header><fronty-slot name="title"></fronty-slot></header>' +
+        '<section><fronty-slot></fronty-slot></section></div>');
+
+    parent.start();
+    expect(query('#card header h2').textContent).toBe('Title');
+    expect(query('#card section').textContent).toBe('one');
+
+    items = ['one', 'two'];
+    parent.render();
+    expect(query('#card header').textContent).toBe('Title');
+    expect(query('#card section').textContent).toBe('onetwo');
+
+    items = ['two'];
+    parent.render();
+    expect(query('#card section').textContent).toBe('two');
+  });
+
+  it('should keep the projected contents when the child re-renders', () => {
+    var tagName = 'section';
+    var card = null;
+    var parent = createParent(() => '<div><div fronty-component="Card" id="card"><p>content</p></div></div>',
+      () => '<div><' + tagName + '><fronty-slot></fronty-slot></' + tagName + '></div>');
+    var createChildComponent = parent.createChildComponent;
+    parent.createChildComponent = function() {
+      card = createChildComponent.apply(this, arguments);
+      return card;
+    };
+
+    parent.start();
+    var paragraph = query('#card section p');
+
+    card.render();
+    expect(query('#card section p')).toBe(paragraph);
+
+    tagName = 'article';
+    card.render();
+    expect(query('#card section')).toBe(null);
+    expect(query('#card article p')).toBe(paragraph);
+  });
+
+  it('should not show contents without a slot', () => {
+    var parent = createParent(() => '<div><div fronty-component="Card" id="card"><p fronty-slot="missing">hidden</p>' +
+        '<p>shown</p></div></div>',
+      () => '<div class="card"><fronty-slot></fronty-slot></div>');
+
+    parent.start();
+
+    expect(query('#card').textContent).toBe('shown');
+
+    parent.render();
+
+    expect(query('#card').textContent).toBe('shown');
+  });
+
+  it('should not project contents into children without slots', () => {
+    var text = 'first';
+    var card = null;
+    var parent = createParent(() => '<div><div fronty-component="Card" id="card"><p>' + text + '</p></div></div>',
+      () => '<div class="card">card</div>');
+    var createChildComponent = parent.createChildComponent;
+    parent.createChildComponent = function() {
+      card = createChildComponent.apply(this, arguments);
+      return card;
+    };
+
+    parent.start();
+    expect(query('#card').textContent).toBe('card');
+
+    text = 'second';
+    parent.render();
+
+    expect(query('#card').textContent).toBe('card');
+    expect(card._unslottedNodes.childNodes.length).toBe(0);
+  });
+
+  it('should create the child components of projected contents', () => {
+    var parent = createParent(() => '<div><div fronty-component="Card" id="card">' +
+        '<span fronty-component="Badge" id="badge"></span></div></div>',
+      () => '<div><fronty-slot></fronty-slot></div>');
+
+    parent.start();
+
+    expect(parent.getChildComponents().length).toBe(2);
+    expect(parent.getChildComponent('badge')).toBeDefined();
+    expect(query('#card fronty-slot #badge').textContent).toBe('Badge');
+
+    parent.render();
+
+    expect(query('#card fronty-slot #badge').textContent).toBe('Badge');
+  });
+
+  it('should project the contents of child tags', () => {
+    var parent = createParent(() => '<div><card id="card"><b>content</b></card></div>',
+      () => '<div><i>card</i><fronty-slot></fronty-slot></div>', ['Card']);
+
+    parent.start();
+
+    expect(query('#card').textContent).toBe('cardcontent');
+  });
+
+  it('should dispatch the events of projected contents to the parent', () => {
+    var clicks = 0;
+    var parent = createParent(() => '<div><div fronty-component="Card" id="card"><button>Click</button></div></div>',
+      () => '<div><fronty-slot></fronty-slot></div>');
+    parent.addEventListener('click', 'button', () => clicks++);
+
+    parent.start();
+    query('#card button').click();
+
+    expect(clicks).toBe(1);
+  });
+});
@@ -0,0 +1,116 @@
+describe('Component', () => {
+  var SVG = 'http://www.w3.org/2000/svg';
+  var MATHML = 'http://www.w3.org/1998/Math/MathML';
+  var XLINK = 'http://www.w3.org/1999/xlink';
+
+  beforeEach(() => {
+    var fixture = '<div id="fixture"><div id="componentId"></div></div>';
+
+    document.body.insertAdjacentHTML(
+      'afterbegin',
+      fixture);
+  });
+
+  // remove the html fixture from the DOM
+  afterEach(function() {
+    document.body.removeChild(document.getElementById('fixture'));
+  });
+
+  function query(selector) {
+    return document.querySelector('#fixture ' + selector);
+  }
+
+  it('should render and patch SVG roots', () => {
+    var radius = 1;
+    var component = new Fronty.Component(() => '<svg viewBox="0 0 10 10"><circle r="' + radius + '"></circle></svg>',
+      'componentId');
+
+    component.start();
+    var circle = query('circle');
+    expect(query('svg').namespaceURI).toBe(SVG);
+    expect(circle.namespaceURI).toBe(SVG);
+    expect(query('svg').getAttribute('viewBox')).toBe('0 0 10 10');
+
+    radius = 2;
+    component.render();
+    expect(query('circle')).toBe(circle);
+    expect(circle.getAttribute('r')).toBe('2');
+  });
+
+  it('should patch namespaced attributes', () => {
+    var link = null;
+    var component = new Fronty.Component(() => '<svg><use' + (link ? ' xlink:href="' + link + '"' : '') +
+      '></use></svg>', 'componentId');
+
+    component.start();
+
+    link = '#a';
+    component.render();
+    expect(query('use').getAttributeNS(XLINK, 'href')).toBe('#a');
+
+    link = '#b';
+    component.render();
+    expect(query('use').getAttributeNS(XLINK, 'href')).toBe('#b');
+    expect(query('use').attributes.length).toBe(1);
+
+    link = null;
+    component.render();
+    expect(query('use').hasAttributeNS(XLINK, 'href')).toBe(false);
+  });
+
+  it('should render SVG fragments inside SVG elements', () => {
+    document.getElementById('componentId').innerHTML = '<svg><g id="shapes"></g></svg>';
+    var shapes = ['circle', 'rect'];
+    var component = new Fronty.Component(() => shapes.map((shape) => '<' + shape + '></' + shape + '>').join(''),
+      'shapes');
+
+    component.start();
+    expect(query('circle').namespaceURI).toBe(SVG);
+    expect(query('rect').namespaceURI).toBe(SVG);
+
+    shapes = ['circle', 'ellipse', 'rect'];
+    component.render();
+    expect(query('ellipse').namespaceURI).toBe(SVG);
+  });
+
+  it('should render SVG roots of child components', () => {
+    var width = 1;
+    var child = null;
+    var parent = new Fronty.Component(() => '<div><svg><g fronty-component="Bar" id="bar"></g></svg></div>',
+      'componentId');
+    parent.createChildComponent = (className, element, id) => {
+      child = new Fronty.Component(() => '<g><rect width="' + width + '"></rect></g>', id);
+      return child;
+    };
+
+    parent.start();
+    expect(query('#bar').namespaceURI).toBe(SVG);
+    expect(query('rect').namespaceURI).toBe(SVG);
+
+    width = 2;
+    child.render();
+    expect(query('rect').getAttribute('width')).toBe('2');
+  });
+
+  it('should render HTML inside foreign objects', () => {
+    document.getElementById('componentId').innerHTML = '<svg><foreignObject><div id="label"></div></foreignObject></svg>';
+    var component = new Fronty.Component(() => '<p>label</p>', 'label');
+
+    component.start();
+
+    expect(query('p').namespaceURI).toBe('http://www.w3.org/1999/xhtml');
+  });
+
+  it('should render MathML', () => {
+    var component = new Fronty.Component(() => '<math><mi>x</mi></math>', 'componentId');
+    component.start();
+    expect(query('mi').namespaceURI).toBe(MATHML);
+
+    document.getElementById('fixture').innerHTML = '<math><mrow id="expression"></mrow></math>';
+    var expression = new Fronty.Component(() => '<mi>x</mi><mo>+</mo><mn>1</mn>', 'expression');
+    expression.start();
+
+    expect(query('mo').namespaceURI).toBe(MATHML);
+    expect(query('mn').namespaceURI).toBe(MATHML);
+  });
+});
@@ -0,0 +1,110 @@
+describe('EntityStore', () => {
+
+  it('should keep entities normalized', () => {
+    var store = new Fronty.EntityStore();
+    store.defineType('post', {
+      relations: {
+        author: 'user',
+        comments: ['comment']
+      }
+    });
+
+    var posts = store.upsert('post', [{
+      id: 1,
+      title: 'Hello',
+      author: {id: 7, name: 'John'},
+      comments: [{id: 10, text: 'Nice'}, 11]
+    }, {
+      id: 2,
+      title: 'Bye',
+      author: {id: 7, name: 'John', email: 'john@example.com'}
+    }]);
+
+    expect(posts.length).toBe(2);
+    expect(posts[0].title).toBe('Hello');
+    expect(store.get('user', 7)).toEqual({id: 7, name: 'John', email: 'john@example.com'});
+    expect(store.get('post', 1).author).toBe(store.ref('user', 7));
+    expect(posts[1].author.email).toBe('john@example.com');
+    expect(store.get('post', 1).comments.map((comment) => comment.text)).toEqual(['Nice', undefined]);
+    expect(store.all('post').map((post) => post.title)).toEqual(['Hello', 'Bye']);
+  });
+
+  it('should resolve references to the current entity', () => {
+    var store = new Fronty.EntityStore();
+    var user = store.ref('user', 1);
+
+    expect(user.name).toBeUndefined();
+    expect(Fronty.EntityStore.isRef(user)).toBe(true);
+    expect(Fronty.EntityStore.isRef({})).toBe(false);
+
+    store.upsert('user', {id: 1, name: 'John'});
+    expect(user.name).toBe('John');
+    expect(Object.keys(user)).toEqual(['id', 'name']);
+    expect(JSON.parse(JSON.stringify(user))).toEqual({id: 1, name: 'John'});
+    expect(() => {
+      'use strict';
+      user.name = 'Jane';
+    }).toThrow();
+
+    expect(store.remove('user', 1)).toBe(true);
+    expect(store.remove('user', 1)).toBe(false);
+    expect(user.name).toBeUndefined();
+  });
+
+  it('should notify the changed entities once', () => {
+    var store = new Fronty.EntityStore();
+    var hints = [];
+    store.addObserver((model, hint) => hints.push(hint));
+
+    store.upsert('user', [{id: 1}, {id: 2}]);
+
+    expect(hints).toEqual([{entities: [{type: 'user', id: 1}, {type: 'user', id: 2}]}]);
+    expect(() => store.upsert('user', {name: 'John'})).toThrowError(/without id/);
+  });
+
+  describe('in components', () => {
+    beforeEach(() => {
+      document.body.insertAdjacentHTML('afterbegin',
+        '<div id="fixture"><div id="header"></div><div id="list"></div></div>');
+    });
+
+    afterEach(() => {
+      document.body.removeChild(document.getElementById('fixture'));
+    });
+
+    it('should re-render the components reading a changed entity', () => {
+      var store = new Fronty.EntityStore();
+      store.upsert('user', [{id: 1, name: 'John'}, {id: 2, name: 'Jane'}]);
+      var session = new Fronty.Model('session');
+      session.user = store.ref('user', 1);
+      var list = new Fronty.Model('list');
+      list.users = store.all('user');
+      var renders = 0;
+
+      var header = new Fronty.ModelComponent((m) => {
+        renders++;
+        return '<div>' + m.user.name + '</div>';
+      }, session, 'header');
+      var listComponent = new Fronty.ModelComponent(
+        (m) => '<ul>' + m.users.map((user) => '<li>' + user.name + '</li>').join('') + '</ul>',
+        list, 'list');
+      header.start();
+      listComponent.start();
+
+      store.upsert('user', {id: 1, name: 'Johnny'});
+      expect(document.getElementById('header').textContent).toBe('Johnny');
+      expect(document.getElementById('list').textContent).toBe('JohnnyJane');
+      expect(renders).toBe(2);
+
+      // the header does not read user 2
+      store.upsert('user', {id: 2, name: 'Janet'});
+      expect(renders).toBe(2);
+      expect(document.getElementById('list').textContent).toBe('JohnnyJanet');
+
+      header.stop();
+      expect(store.observers.length).toBe(1);
+      listComponent.stop();
+      expect(store.observers.length).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,1300 @@
+describe('Model', () => {
+  beforeEach(() => {
+    var fixture = '<div id="fixture"><div id="componentId"></div></div>';
+
+    document.body.insertAdjacentHTML(
+      'afterbegin',
+      fixture);
+  });
+
+  // remove the html fixture from the DOM
+  afterEach(function() {
+    document.body.removeChild(document.getElementById('fixture'));
+  });
+
+  describe('computed properties', () => {
+
+    it('should compute lazily and cache the value', () => {
+      var model = new Fronty.Model();
+      model.items = [1, 2, 3];
+      var calls = 0;
+      model.addComputed('total', (m) => {
+        calls++;
+        return m.items.reduce((a, b) => a + b, 0);
+      });
+
+      expect(calls).toBe(0);
+      expect(model.total).toBe(6);
+      expect(model.total).toBe(6);
+      expect(calls).toBe(1);
+    });
+
+    it('should recompute only when a dependency changes', () => {
+      var model = new Fronty.Model();
+      model.items = [{done: false}, {done: true}];
+      model.title = 'todos';
+      var calls = 0;
+      model.addComputed('remaining', function() {
+        calls++;
+        return this.items.filter((item) => !item.done).length;
+      });
+
+      expect(model.remaining).toBe(1);
+
+      model.set(() => model.title = 'my todos');
+      expect(model.remaining).toBe(1);
+      expect(calls).toBe(1);
+
+      model.set(() => model.items[1].done = false);
+      expect(model.remaining).toBe(2);
+
+      model.set(() => model.items.push({done: false}));
+      expect(model.remaining).toBe(3);
+      expect(calls).toBe(3);
+    });
+
+    it('should return the original objects, not tracking wrappers', () => {
+      var model = new Fronty.Model();
+      var item = {done: false};
+      model.items = [item, {done: true}];
+      model.addComputed('pending', (m) => m.items.filter((i) => !i.done));
+
+      expect(model.pending[0]).toBe(item);
+      expect(model.items.indexOf(model.pending[0])).toBe(0);
+    });
+
+    it('should be passed to ModelComponent renderers', () => {
+      var model = new Fronty.Model();
+      model.items = ['a', 'b'];
+      model.addComputed('count', (m) => m.items.length);
+      var other = new Fronty.Model();
+      var component = new Fronty.ModelComponent(
+        (m) => '<p>' + m.count + '</p>', model, 'componentId');
+      component.start();
+
+      expect(document.getElementById('componentId').textContent).toBe('2');
+
+      model.set(() => model.items.push('c'));
+      expect(document.getElementById('componentId').textContent).toBe('3');
+
+      component.addModel('other', other);
+      component.render();
+      expect(document.getElementById('componentId').textContent).toBe('3');
+    });
+
+    it('should notify observers when a computed value on another model changes', () => {
+      var settings = new Fronty.Model('settings');
+      settings.currency = 'EUR';
+      settings.theme = 'dark';
+
+      var cart = new Fronty.Model('cart');
+      cart.settings = settings;
+      cart.addComputed('label', (m) => 'Total in ' + m.settings.currency);
+
+      expect(cart.label).toBe('Total in EUR');
+
+      var hints = [];
+      cart.addObserver((model, hint) => hints.push(hint));
+
+      settings.set(() => settings.theme = 'light');
+      expect(hints.length).toBe(0);
+
+      settings.set(() => settings.currency = 'USD');
+      expect(hints.length).toBe(1);
+      expect(hints[0].computed).toBe('label');
+      expect(hints[0].value).toBe('Total in USD');
+      expect(cart.label).toBe('Total in USD');
+    });
+
+    it('should use the custom equality function', () => {
+      var settings = new Fronty.Model('settings');
+      settings.tags = ['a'];
+      var model = new Fronty.Model();
+      model.settings = settings;
+      model.addComputed('tags', (m) => m.settings.tags.slice(),
+        (a, b) => a.join() === b.join());
+
+      expect(model.tags).toEqual(['a']);
+      var notifications = 0;
+      model.addObserver(() => notifications++);
+
+      settings.set(() => settings.tags = ['a']);
+      expect(notifications).toBe(0);
+
+      settings.set(() => settings.tags.push('b'));
+      expect(notifications).toBe(1);
+    });
+  });
+
+  describe('transactions', () => {
+
+    it('should notify each observer once at the end of the transaction', () => {
+      var model1 = new Fronty.Model('model1');
+      var model2 = new Fronty.Model('model2');
+      var calls = [];
+      var observer = (model, hint) => calls.push({model: model, hint: hint});
+      model1.addObserver(observer);
+      model2.addObserver(observer);
+
+      Fronty.transaction(() => {
+        model1.set(() => model1.value = 1, 'first');
+        model2.set(() => model2.value = 2, 'second');
+        model1.set(() => model1.value = 3, 'third');
+        expect(calls.length).toBe(0);
+      });
+
+      expect(calls.length).toBe(1);
+      expect(calls[0].model).toBe(model1);
+      expect(calls[0].hint.transaction).toBe(true);
+      expect(calls[0].hint.changes.map((change) => change.hint)).toEqual(['first', 'second', 'third']);
+    });
+
+    it('should pass the original model and hint to observers notified once', () => {
+      var model = new Fronty.Model();
+      var calls = [];
+      model.addObserver((model, hint) => calls.push(hint));
+
+      Fronty.transaction(() => model.set(() => model.value = 1, 'hint'));
+
+      expect(calls).toEqual(['hint']);
+    });
+
+    it('should only notify when the outermost transaction ends', () => {
+      var model = new Fronty.Model();
+      var notifications = 0;
+      model.addObserver(() => notifications++);
+
+      Fronty.transaction(() => {
+        Fronty.transaction(() => model.set(() => model.value = 1));
+        expect(notifications).toBe(0);
+        model.set(() => model.value = 2);
+      });
+
+      expect(notifications).toBe(1);
+    });
+
+    it('should flush pending notifications and rethrow on errors', () => {
+      var model = new Fronty.Model();
+      var notifications = 0;
+      model.addObserver(() => notifications++);
+
+      expect(() => Fronty.transaction(() => {
+        model.set(() => model.value = 1);
+        throw 'failed';
+      })).toThrow('failed');
+
+      expect(notifications).toBe(1);
+
+      // no transaction is left open
+      model.set(() => model.value = 2);
+      expect(notifications).toBe(2);
+    });
+
+    it('should not notify observers removed during the transaction', () => {
+      var model = new Fronty.Model();
+      var notifications = 0;
+      var observer = () => notifications++;
+      model.addObserver(observer);
+
+      Fronty.transaction(() => {
+        model.set(() => model.value = 1);
+        model.removeObserver(observer);
+      });
+
+      expect(notifications).toBe(0);
+    });
+
+    it('should render a ModelComponent observing several models once', () => {
+      var model1 = new Fronty.Model();
+      model1.value = 'a';
+      var model2 = new Fronty.Model();
+      model2.value = 'b';
+      var renders = 0;
+      var component = new Fronty.ModelComponent((m) => {
+        renders++;
+        return '<p>' + m.value + m.other.value + '</p>';
+      }, model1, 'componentId');
+      component.addModel('other', model2);
+      component.start();
+
+      Fronty.transaction(() => {
+        model1.set(() => model1.value = 'c');
+        model2.set(() => model2.value = 'd');
+      });
+
+      expect(renders).toBe(2);
+      expect(document.getElementById('componentId').textContent).toBe('cd');
+    });
+
+    it('should run notifications with the notification scheduler', () => {
+      var model = new Fronty.Model();
+      var calls = [];
+      model.addObserver(() => calls.push('first'));
+      model.addObserver(() => calls.push('second'));
+      var previous = Fronty.Model.setNotificationScheduler((observers, notify) => {
+        calls.push(observers.length);
+        observers.slice().reverse().forEach(notify);
+      });
+
+      try {
+        model.set(() => model.value = 1);
+        Fronty.transaction(() => model.set(() => model.value = 2));
+      } finally {
+        Fronty.Model.setNotificationScheduler(previous);
+      }
+
+      expect(calls).toEqual([2, 'second', 'first', 2, 'second', 'first']);
+    });
+  });
+
+  describe('history', () => {
+
+    it('should undo and redo changes', () => {
+      var model = new Fronty.Model();
+      model.items = ['a'];
+      model.enableHistory();
+
+      expect(model.canUndo()).toBe(false);
+
+      model.set(() => model.items.push('b'), 'add b');
+      model.set(() => model.title = 'list');
+
+      expect(model.canUndo()).toBe(true);
+      model.undo();
+      expect(model.title).toBe(undefined);
+      expect(model.items).toEqual(['a', 'b']);
+      model.undo();
+      expect(model.items).toEqual(['a']);
+      expect(model.canUndo()).toBe(false);
+      expect(model.canRedo()).toBe(true);
+
+      model.redo();
+      expect(model.items).toEqual(['a', 'b']);
+      model.redo();
+      expect(model.title).toBe('list');
+      expect(model.canRedo()).toBe(false);
+    });
+
+    it('should notify observers with the recorded hint', () => {
+      var model = new Fronty.Model();
+      model.value = 1;
+      model.enableHistory();
+      var hints = [];
+      model.addObserver((model, hint) => hints.push(hint));
+
+      model.set(() => model.value = 2, 'change');
+      model.undo();
+      model.redo();
+
+      expect(hints).toEqual(['change', {
+        history: 'undo',
+        hint: 'change'
+      }, {
+        history: 'redo',
+        hint: 'change'
+      }]);
+    });
+
+    it('should discard redo steps after a new change', () => {
+      var model = new Fronty.Model();
+      model.value = 1;
+      model.enableHistory();
+
+      model.set(() => model.value = 2);
+      model.undo();
+      model.set(() => model.value = 3);
+
+      expect(model.canRedo()).toBe(false);
+      model.undo();
+      expect(model.value).toBe(1);
+    });
+
+    it('should limit the history depth', () => {
+      var model = new Fronty.Model();
+      model.value = 0;
+      model.enableHistory({depth: 2});
+
+      [1, 2, 3, 4, 5].forEach((value) => model.set(() => model.value = value));
+      model.undo();
+      model.undo();
+
+      expect(model.value).toBe(3);
+      expect(model.undo()).toBe(false);
+    });
+
+    it('should group several set() calls in a single step', () => {
+      var model = new Fronty.Model();
+      model.value = 0;
+      model.enableHistory();
+
+      model.groupHistory(() => {
+        model.set(() => model.value = 1);
+        model.set(() => model.value = 2);
+      }, 'group');
+
+      model.undo();
+      expect(model.value).toBe(0);
+      expect(model.canUndo()).toBe(false);
+    });
+
+    it('should not record failed changes', () => {
+      var model = new Fronty.Model();
+      model.value = 0;
+      model.enableHistory();
+      model.set(() => model.value = 1);
+      model.undo();
+
+      expect(() => model.set(() => {
+        throw new Error('failed');
+      })).toThrowError('failed');
+
+      expect(model.canUndo()).toBe(false);
+      expect(model.canRedo()).toBe(true);
+      model.redo();
+      expect(model.value).toBe(1);
+    });
+
+    it('should re-render ModelComponents on undo', () => {
+      var model = new Fronty.Model();
+      model.value = 'foo';
+      model.enableHistory();
+      var component = new Fronty.ModelComponent((m) => '<p>' + m.value + '</p>', model, 'componentId');
+      component.start();
+
+      model.set(() => model.value = 'bar');
+      expect(document.getElementById('componentId').textContent).toBe('bar');
+
+      model.undo();
+      expect(document.getElementById('componentId').textContent).toBe('foo');
+    });
+  });
+
+  describe('reactive models', () => {
+
+    class ReactiveTodoList extends Fronty.ReactiveModel {
+      constructor() {
+        super('todos');
+        this.items = [];
+      }
+    }
+
+    it('should notify once for several assignments', (done) => {
+      var model = new Fronty.ReactiveModel();
+      var notifications = 0;
+      model.addObserver(() => notifications++);
+
+      model.title = 'foo';
+      model.subtitle = 'bar';
+      expect(notifications).toBe(0);
+
+      Promise.resolve().then(() => {
+        expect(notifications).toBe(1);
+        done();
+      });
+    });
+
+    it('should detect array mutations and nested changes', (done) => {
+      var model = new ReactiveTodoList();
+      var notifications = 0;
+      model.addObserver(() => notifications++);
+
+      model.items.push({description: 'lunch', done: false});
+      Promise.resolve().then(() => {
+        expect(notifications).toBe(1);
+        model.items[0].done = true;
+        return Promise.resolve();
+      }).then(() => {
+        expect(notifications).toBe(2);
+        model.items.sort();
+        delete model.items[0].description;
+        return Promise.resolve();
+      }).then(() => {
+        expect(notifications).toBe(3);
+        done();
+      });
+    });
+
+    it('should not notify if values do not change', (done) => {
+      var model = new Fronty.ReactiveModel();
+      model.value = 1;
+      var notifications = 0;
+      model.addObserver(() => notifications++);
+
+      model.value = 1;
+      Promise.resolve().then(() => {
+        expect(notifications).toBe(0);
+        done();
+      });
+    });
+
+    it('should notify only once on set()', (done) => {
+      var model = new ReactiveTodoList();
+      var hints = [];
+      model.addObserver((model, hint) => hints.push(hint));
+
+      model.items.push('a');
+      model.set(() => model.items.push('b'), 'hint');
+      expect(hints).toEqual(['hint']);
+
+      Promise.resolve().then(() => {
+        expect(hints).toEqual(['hint']);
+        done();
+      });
+    });
+
+    it('should pass itself to observers and keep object identities stable', () => {
+      var model = new ReactiveTodoList();
+      var item = {description: 'lunch'};
+      model.items.push(item);
+
+      expect(model.items[0]).toBe(model.items[0]);
+      expect(model.items.indexOf(model.items[0])).toBe(0);
+
+      model.items.push(model.items[0]);
+      expect(model.items[1]).toBe(model.items[0]);
+
+      var observed = null;
+      model.addObserver((m) => observed = m);
+      model.set(() => model.items.length = 0);
+      expect(observed).toBe(model);
+    });
+
+    it('should re-render ModelComponents', (done) => {
+      var model = new ReactiveTodoList();
+      var component = new Fronty.ModelComponent(
+        (m) => '<ul>' + m.items.map((item) => '<li>' + item + '</li>').join('') + '</ul>',
+        model, 'componentId');
+      component.start();
+
+      model.items.push('foo');
+      model.items.push('bar');
+
+      Promise.resolve().then(() => {
+        expect(document.getElementById('componentId').textContent).toBe('foobar');
+        done();
+      });
+    });
+  });
+
+  describe('path observers', () => {
+
+    it('should only notify observers of changed paths', () => {
+      var model = new Fronty.Model();
+      model.user = {name: 'John', address: {city: 'Ourense'}};
+      model.items = [{done: false}];
+      var cityChanges = [];
+      var itemChanges = [];
+      model.addObserver((model, hint, changes) => cityChanges.push(changes), 'user.address.city');
+      model.addObserver((model, hint, changes) => itemChanges.push(changes), 'items.*');
+
+      model.set(() => model.user.name = 'Jane');
+      expect(cityChanges.length).toBe(0);
+      expect(itemChanges.length).toBe(0);
+
+      model.set(() => model.user.address.city = 'Vigo');
+      expect(cityChanges.length).toBe(1);
+      expect(cityChanges[0]).toEqual([{
+        model: model,
+        path: 'user.address.city',
+        oldValue: 'Ourense',
+        newValue: 'Vigo'
+      }]);
+
+      model.set(() => model.items[0].done = true);
+      expect(itemChanges.length).toBe(1);
+      expect(itemChanges[0][0].path).toBe('items.0.done');
+
+      // replacing a parent object affects the path
+      model.set(() => model.user = null);
+      expect(cityChanges.length).toBe(2);
+    });
+
+    it('should report added items and array length', () => {
+      var model = new Fronty.Model();
+      model.items = ['a'];
+      var records = null;
+      model.addObserver((model, hint, changes) => records = changes, '*');
+
+      model.set(() => model.items.push('b'));
+
+      expect(records.map((change) => change.path)).toEqual(['items.1', 'items.length']);
+      expect(records[0].newValue).toBe('b');
+    });
+
+    it('should not notify path observers if nothing changed', () => {
+      var model = new Fronty.Model();
+      model.items = ['a'];
+      var notifications = 0;
+      model.addObserver(() => notifications++, '*');
+
+      model.set(() => model.items = ['a']);
+      expect(notifications).toBe(0);
+    });
+
+    it('should notify all observers if changes are unknown', () => {
+      var model = new Fronty.Model();
+      var notifications = 0;
+      model.addObserver(() => notifications++, 'value');
+
+      model.notifyObservers();
+      expect(notifications).toBe(1);
+    });
+
+    it('should only copy the observed paths', () => {
+      var model = new Fronty.Model();
+      var copies = 0;
+      model.user = {city: 'Ourense'};
+      model.data = {};
+      Object.defineProperty(model.data, 'value', {
+        enumerable: true,
+        get: () => {
+          copies++;
+          return 1;
+        }
+      });
+      var records = null;
+      var unknown = null;
+      model.addObserver((model, hint, changes) => records = changes, 'user.city');
+      model.addObserver((model, hint, changes) => unknown = changes);
+
+      model.set(() => model.user.city = 'Vigo');
+      expect(copies).toBe(0);
+      expect(records.map((change) => change.path)).toEqual(['user.city']);
+      // other observers do not receive the changes, since they are partial
+      expect(unknown).toBeUndefined();
+    });
+
+    it('should report changes of computed properties', () => {
+      var model = new Fronty.Model();
+      model.items = [1, 2];
+      model.addComputed('count', (m) => m.items.length);
+      expect(model.count).toBe(2);
+      var records = null;
+      model.addObserver((model, hint, changes) => records = changes, 'count');
+
+      model.set(() => model.items.push(3));
+      expect(records[records.length - 1]).toEqual({
+        model: model,
+        path: 'count',
+        oldValue: 2,
+        newValue: 3
+      });
+    });
+
+    it('should filter deferred notifications of transactions', () => {
+      var model = new Fronty.Model();
+      model.a = 1;
+      model.b = 1;
+      var notifications = 0;
+      model.addObserver(() => notifications++, 'a');
+
+      Fronty.transaction(() => model.set(() => model.b = 2));
+      expect(notifications).toBe(0);
+
+      Fronty.transaction(() => model.set(() => model.a = 2));
+      expect(notifications).toBe(1);
+    });
+
+    it('should report changes of reactive models', (done) => {
+      var model = new Fronty.ReactiveModel();
+      model.user = {name: 'John'};
+      var records = null;
+      model.addObserver((model, hint, changes) => records = changes, 'user.name');
+
+      model.user.name = 'Jane';
+      Promise.resolve().then(() => {
+        expect(records).toEqual([{
+          model: model,
+          path: 'user.name',
+          oldValue: 'John',
+          newValue: 'Jane'
+        }]);
+        done();
+      });
+    });
+  });
+
+  describe('middlewares', () => {
+
+    it('should run middlewares around set in order', () => {
+      var model = new Fronty.Model();
+      model.value = 1;
+      var calls = [];
+      var globalMiddleware = (context, next) => {
+        calls.push('global before ' + context.before.value);
+        next();
+        calls.push('global after ' + context.model.value);
+      };
+      Fronty.Model.addMiddleware(globalMiddleware);
+      try {
+        model.addMiddleware((context, next) => {
+          calls.push('model before');
+          next();
+          calls.push('model after');
+        });
+
+        model.set(() => {
+          calls.push('updater');
+          model.value = 2;
+        });
+      } finally {
+        Fronty.Model.removeMiddleware(globalMiddleware);
+      }
+
+      expect(calls).toEqual(['global before 1', 'model before', 'updater', 'model after', 'global after 2']);
+    });
+
+    it('should transform changes and hints', () => {
+      var model = new Fronty.Model();
+      model.title = '';
+      var hints = [];
+      model.addObserver((model, hint) => hints.push(hint));
+      model.addMiddleware((context, next) => {
+        var updater = context.updater;
+        context.updater = (model) => {
+          updater(model);
+          model.title = model.title.trim();
+        };
+        context.hint = Object.assign({validated: true}, context.hint);
+        next();
+      });
+
+      model.set(() => model.title = '  Hello ', {source: 'form'});
+
+      expect(model.title).toBe('Hello');
+      expect(hints).toEqual([{validated: true, source: 'form'}]);
+    });
+
+    it('should veto changes', () => {
+      var model = new Fronty.Model();
+      model.locked = true;
+      model.value = 1;
+      var notifications = 0;
+      model.addObserver(() => notifications++);
+      model.addMiddleware((context, next) => {
+        if (!context.model.locked) {
+          next();
+        }
+      });
+
+      model.set(() => model.value = 2);
+      expect(model.value).toBe(1);
+      expect(notifications).toBe(0);
+    });
+
+    it('should only copy the state of changes reaching the updater', () => {
+      var model = new Fronty.Model();
+      var copies = 0;
+      model.data = {};
+      Object.defineProperty(model.data, 'value', {
+        enumerable: true,
+        get: () => {
+          copies++;
+          return 1;
+        }
+      });
+      var veto = true;
+      model.addMiddleware((context, next) => {
+        if (!veto) {
+          next();
+        }
+      });
+
+      model.set(() => model.other = 1);
+      expect(copies).toBe(0);
+
+      veto = false;
+      model.set(() => model.other = 2);
+      expect(copies).toBe(1);
+    });
+
+    it('should roll back invalid states', () => {
+      var model = new Fronty.Model();
+      model.items = [1];
+      model.enableHistory();
+      var notifications = 0;
+      model.addObserver(() => notifications++);
+      model.addMiddleware((context, next) => {
+        next();
+        if (context.model.items.length > 2) {
+          context.rollback();
+        }
+      });
+
+      model.set(() => model.items.push(2));
+      model.set(() => {
+        model.items.push(3);
+        model.extra = true;
+      });
+
+      expect(model.items).toEqual([1, 2]);
+      expect(model.extra).toBeUndefined();
+      expect(notifications).toBe(1);
+
+      model.undo();
+      expect(model.items).toEqual([1]);
+      expect(model.canUndo()).toBe(false);
+    });
+
+    it('should roll back when the updater throws', () => {
+      var model = new Fronty.Model();
+      model.value = 1;
+      model.addMiddleware((context, next) => next());
+
+      expect(() => model.set(() => {
+        model.value = 2;
+        throw new Error('failed');
+      })).toThrowError('failed');
+      expect(model.value).toBe(1);
+    });
+
+    it('should allow to guard immutability outside set', () => {
+      function deepFreeze(value) {
+        if (value !== null && typeof value === 'object') {
+          Object.keys(value).forEach((key) => deepFreeze(value[key]));
+          Object.freeze(value);
+        }
+      }
+      var model = new Fronty.Model();
+      model.user = {name: 'John'};
+      model.addMiddleware((context, next) => {
+        // work on copies, since the current state is frozen
+        Object.keys(context.before).forEach((key) => model[key] = context.before[key]);
+        next();
+        Object.keys(context.before).forEach((key) => deepFreeze(model[key]));
+      });
+
+      model.set(() => model.user.name = 'Jane');
+      expect(model.user.name).toBe('Jane');
+      expect(Object.isFrozen(model.user)).toBe(true);
+
+      model.set(() => model.user.name = 'Jim');
+      expect(model.user.name).toBe('Jim');
+    });
+  });
+
+  describe('observer errors', () => {
+
+    var errors;
+    var previousHandler;
+
+    beforeEach(() => {
+      errors = [];
+      previousHandler = Fronty.onError((error, context) => errors.push({
+        error: error,
+        context: context
+      }));
+    });
+
+    afterEach(() => {
+      Fronty.onError(previousHandler);
+    });
+
+    it('should notify the remaining observers if one throws', () => {
+      var model = new Fronty.Model('failing');
+      var failing = () => {
+        throw new Error('observer failed');
+      };
+      var notified = false;
+      model.addObserver(failing);
+      model.addObserver(() => notified = true);
+
+      model.set(() => model.value = 1, 'a hint');
+
+      expect(notified).toBe(true);
+      expect(errors.length).toBe(1);
+      expect(errors[0].error.message).toBe('observer failed');
+      expect(errors[0].context.model).toBe(model);
+      expect(errors[0].context.modelName).toBe('failing');
+      expect(errors[0].context.observer).toBe(failing);
+      expect(errors[0].context.hint).toBe('a hint');
+    });
+
+    it('should isolate failures of transaction observers', () => {
+      var first = new Fronty.Model('first');
+      var second = new Fronty.Model('second');
+      var notified = 0;
+      first.addObserver(() => {
+        throw new Error('observer failed');
+      });
+      second.addObserver(() => notified++);
+
+      Fronty.transaction(() => {
+        first.set(() => first.value = 1);
+        second.set(() => second.value = 1);
+      });
+
+      expect(notified).toBe(1);
+      expect(errors.length).toBe(1);
+      expect(errors[0].context.model).toBe(first);
+    });
+
+    it('should surface errors once all observers are notified', () => {
+      Fronty.onError((error) => {
+        throw error;
+      });
+      var model = new Fronty.Model();
+      var notified = false;
+      model.addObserver(() => {
+        throw new Error('observer failed');
+      });
+      model.addObserver(() => notified = true);
+
+      expect(() => model.set(() => model.value = 1)).toThrowError('observer failed');
+      expect(notified).toBe(true);
+    });
+
+    it('should report the component of a failing update', () => {
+      document.body.insertAdjacentHTML('afterbegin', '<div id="fixture"><div id="componentId"></div></div>');
+      var model = new Fronty.Model('model');
+      model.value = 0;
+      var component = new Fronty.ModelComponent((model) => {
+        if (model.value > 0) {
+          throw new Error('render failed');
+        }
+        return '<div></div>';
+      }, model, 'componentId');
+      component.start();
+
+      model.set(() => model.value = 1);
+      component.stop();
+      document.body.removeChild(document.getElementById('fixture'));
+
+      expect(errors.length).toBe(1);
+      expect(errors[0].context.component).toBe(component);
+    });
+  });
+
+  describe('JSON patches', () => {
+
+    it('should send the JSON patch of each change to listeners', () => {
+      var model = new Fronty.Model();
+      model.items = [{description: 'lunch', done: false}, {description: 'dinner', done: false}];
+      model.filter = 'all';
+      var patches = [];
+      model.addPatchListener((patch, model, hint) => patches.push({patch: patch, hint: hint}));
+
+      model.set(() => {
+        model.items[0].done = true;
+        model.items.pop();
+        model['a/b'] = 1;
+        delete model.filter;
+      }, 'a hint');
+
+      expect(patches).toEqual([{
+        patch: [
+          {op: 'replace', path: '/items/0/done', value: true},
+          {op: 'remove', path: '/items/1'},
+          {op: 'remove', path: '/filter'},
+          {op: 'add', path: '/a~1b', value: 1}
+        ],
+        hint: 'a hint'
+      }]);
+    });
+
+    it('should send the patches of undo and redo', () => {
+      var model = new Fronty.Model();
+      model.value = 1;
+      model.enableHistory();
+      model.set(() => model.value = 2, 'change');
+      var patches = [];
+      model.addPatchListener((patch, model, hint) => patches.push({patch: patch, hint: hint}));
+
+      model.undo();
+      model.redo();
+
+      expect(patches).toEqual([{
+        patch: [{op: 'replace', path: '/value', value: 1}],
+        hint: {history: 'undo', hint: 'change'}
+      }, {
+        patch: [{op: 'replace', path: '/value', value: 2}],
+        hint: {history: 'redo', hint: 'change'}
+      }]);
+    });
+
+    it('should send the patches of reactive models', (done) => {
+      var model = new Fronty.ReactiveModel();
+      model.items = [];
+      var patches = [];
+      model.addPatchListener((patch, source) => patches.push({patch: patch, source: source}));
+
+      model.items.push('a');
+      model.title = 'list';
+
+      Promise.resolve().then(() => {
+        expect(patches).toEqual([{
+          patch: [
+            {op: 'add', path: '/items/0', value: 'a'},
+            {op: 'add', path: '/title', value: 'list'}
+          ],
+          source: model
+        }]);
+        done();
+      });
+    });
+
+    it('should not call listeners if nothing changes', () => {
+      var model = new Fronty.Model();
+      model.value = 1;
+      var calls = 0;
+      model.addPatchListener(() => calls++);
+
+      model.set(() => model.value = 1);
+
+      expect(calls).toBe(0);
+    });
+
+    it('should produce patches that rebuild the state', () => {
+      var model = new Fronty.Model();
+      model.items = [1, 2, 3];
+      model.user = {name: 'John'};
+      var replica = new Fronty.Model();
+      replica.items = [1, 2, 3];
+      replica.user = {name: 'John'};
+      model.addPatchListener((patch) => replica.applyPatch(patch));
+
+      model.set(() => {
+        model.items.splice(1, 1);
+        model.items.push(4, 5);
+        model.user = {name: 'Jane', age: 30};
+      });
+
+      expect(replica.items).toEqual([1, 3, 4, 5]);
+      expect(replica.user).toEqual({name: 'Jane', age: 30});
+    });
+
+    it('should apply patches notifying observers once', () => {
+      var model = new Fronty.Model();
+      model.items = ['a', 'b'];
+      model.user = {name: 'John'};
+      var hints = [];
+      model.addObserver((model, hint) => hints.push(hint));
+      var patch = [
+        {op: 'test', path: '/user/name', value: 'John'},
+        {op: 'add', path: '/items/-', value: 'c'},
+        {op: 'move', from: '/items/0', path: '/items/1'},
+        {op: 'copy', from: '/user', path: '/owner'},
+        {op: 'replace', path: '/user/name', value: 'Jane'},
+        {op: 'remove', path: '/items/2'}
+      ];
+
+      model.applyPatch(patch);
+
+      expect(model.items).toEqual(['b', 'a']);
+      expect(model.user).toEqual({name: 'Jane'});
+      expect(model.owner).toEqual({name: 'John'});
+      expect(hints).toEqual([{patch: patch}]);
+    });
+
+    it('should not change the model if the patch fails', () => {
+      var model = new Fronty.Model();
+      model.items = ['a'];
+      var notifications = 0;
+      model.addObserver(() => notifications++);
+
+      expect(() => model.applyPatch([
+        {op: 'add', path: '/items/-', value: 'b'},
+        {op: 'test', path: '/items/0', value: 'z'}
+      ])).toThrowError(/test failed/);
+      expect(() => model.applyPatch([{op: 'remove', path: '/missing/value'}])).toThrowError(/not found/);
+      expect(() => model.applyPatch([{op: 'add', path: '/items/5', value: 'b'}])).toThrowError(/index/);
+
+      expect(model.items).toEqual(['a']);
+      expect(notifications).toBe(0);
+    });
+
+    it('should only change the paths of the patch', () => {
+      var model = new Fronty.Model();
+      model.items = ['a'];
+      model.user = {name: 'John'};
+      model.settings = new Fronty.Model();
+      model.settings.theme = 'light';
+      var items = model.items;
+      var user = model.user;
+      var settings = model.settings;
+
+      expect(() => model.applyPatch([
+        {op: 'replace', path: '/settings/theme', value: 'dark'},
+        {op: 'test', path: '/settings/theme', value: 'light'}
+      ])).toThrowError(/test failed/);
+      expect(settings.theme).toBe('light');
+
+      model.applyPatch([
+        {op: 'add', path: '/items/-', value: 'b'},
+        {op: 'replace', path: '/settings/theme', value: 'dark'}
+      ]);
+
+      expect(model.items).toBe(items);
+      expect(items).toEqual(['a', 'b']);
+      expect(model.user).toBe(user);
+      expect(model.settings).toBe(settings);
+      expect(settings.theme).toBe('dark');
+    });
+
+    it('should not patch the properties that are not data', () => {
+      var model = new Fronty.Model('named');
+      model.addObserver(() => {});
+
+      expect(() => model.applyPatch([{op: 'remove', path: '/observers'}])).toThrowError(/not a data property/);
+      expect(() => model.applyPatch([{op: 'replace', path: '', value: {name: 'other'}}]))
+        .toThrowError(/not a data property/);
+      expect(model.observers.length).toBe(1);
+      expect(model.name).toBe('named');
+    });
+  });
+
+  describe('asynchronous updates', () => {
+
+    it('should track the status of asynchronous operations', (done) => {
+      var model = new Fronty.Model();
+      var statuses = [];
+      model.addObserver((model, hint) => statuses.push(hint.status + ' ' + model.items.status));
+
+      model.setAsync('items', () => Promise.resolve(['lunch'])).then((items) => {
+        expect(items).toEqual({status: 'fulfilled', data: ['lunch'], error: null});
+        expect(model.items).toBe(items);
+        expect(statuses).toEqual(['pending pending', 'fulfilled fulfilled']);
+        done();
+      });
+      expect(model.items).toEqual({status: 'pending', data: undefined, error: null});
+    });
+
+    it('should keep the previous data on errors', (done) => {
+      var model = new Fronty.Model();
+      var error = new Error('failed');
+
+      model.setAsync('items', () => ['lunch']).then(() => {
+        return model.setAsync('items', () => {
+          throw error;
+        });
+      }).then((items) => {
+        expect(items).toEqual({status: 'rejected', data: ['lunch'], error: error});
+        done();
+      });
+    });
+
+    it('should record the errors of the final change', (done) => {
+      var model = new Fronty.Model();
+      var error = new Error('invalid items');
+      model.addMiddleware((context, next) => {
+        if (context.hint.status === 'fulfilled') {
+          throw error;
+        }
+        next();
+      });
+
+      model.setAsync('items', () => ['lunch']).then((items) => {
+        expect(items).toEqual({status: 'rejected', data: undefined, error: error});
+        expect(model.items).toBe(items);
+        done();
+      });
+    });
+
+    it('should ignore stale responses', (done) => {
+      var model = new Fronty.Model();
+      var resolveFirst;
+      var signals = [];
+
+      var first = model.setAsync('user', (signal) => {
+        signals.push(signal);
+        return new Promise((resolve) => resolveFirst = resolve);
+      });
+      var second = model.setAsync('user', (signal) => {
+        signals.push(signal);
+        return Promise.resolve('Jane');
+      });
+      if (signals[0]) {
+        expect(signals[0].aborted).toBe(true);
+        expect(signals[1].aborted).toBe(false);
+      }
+
+      Promise.all([second.then(() => resolveFirst('John')), first]).then((results) => {
+        expect(results[1]).toBeNull();
+        expect(model.user.data).toBe('Jane');
+        expect(model.user.status).toBe('fulfilled');
+        done();
+      });
+    });
+  });
+
+  describe('schemas', () => {
+
+    class Person extends Fronty.Model {
+      constructor() {
+        super('person');
+      }
+    }
+    Person.schema = {
+      fullName: {type: 'string', required: true, max: 10},
+      age: {type: 'number', min: 0, default: 18},
+      tags: {type: 'array', default: () => []},
+      email: {type: 'string', pattern: /^\S+@\S+$/, messages: {pattern: 'invalid email'}},
+      birth: {type: 'date', validate: (value) => value.getFullYear() > 1900 || 'too old'}
+    };
+
+    it('should apply default values', () => {
+      var person = new Person();
+      var other = new Person();
+
+      expect(person.age).toBe(18);
+      expect(person.tags).toEqual([]);
+      expect(person.tags).not.toBe(other.tags);
+      expect(person.errors).toEqual({fullName: 'is required'});
+      expect(person.isValid()).toBe(false);
+    });
+
+    it('should coerce and validate fields after set', () => {
+      var person = new Person();
+      var errors = null;
+      person.addObserver((model) => errors = model.errors);
+
+      person.set(() => {
+        person.fullName = 'John';
+        person.age = '42';
+        person.birth = '2000-01-01T00:00:00Z';
+      });
+
+      expect(person.age).toBe(42);
+      expect(person.birth instanceof Date).toBe(true);
+      expect(errors).toEqual({});
+      expect(person.isValid()).toBe(true);
+
+      person.set(() => {
+        person.fullName = 'John Jacob Jingleheimer';
+        person.age = -1;
+        person.email = 'john';
+        person.birth = '1800-01-01T00:00:00Z';
+      });
+
+      expect(errors).toEqual({
+        fullName: 'must be at most 10 characters',
+        age: 'must be at least 0',
+        email: 'invalid email',
+        birth: 'too old'
+      });
+
+      person.set(() => {
+        person.fullName = 'John';
+        person.age = 'many';
+        person.email = '';
+        person.birth = '';
+      });
+
+      expect(person.errors).toEqual({age: 'must be a number'});
+      expect(person.birth).toBeNull();
+    });
+
+    it('should not include errors in the state', () => {
+      var person = new Person();
+      person.enableHistory();
+      person.set(() => person.fullName = 'John');
+
+      person.undo();
+
+      expect(person.fullName).toBeUndefined();
+      expect(person.errors).toEqual({fullName: 'is required'});
+    });
+
+    it('should validate the fields assigned by subclass constructors', () => {
+      class Employee extends Fronty.Model {
+        constructor(fullName, age) {
+          super('employee');
+          this.fullName = fullName;
+          this.age = age;
+        }
+      }
+      Employee.schema = Person.schema;
+
+      var employee = new Employee('John', '42');
+
+      expect(employee.isValid()).toBe(true);
+      expect(employee.errors).toEqual({});
+      expect(employee.age).toBe(42);
+      expect(new Employee('', 30).errors).toEqual({fullName: 'is required'});
+    });
+
+    it('should define schemas in instances', () => {
+      var model = new Fronty.Model();
+      model.defineSchema({
+        accepted: {type: 'boolean', required: true}
+      });
+
+      model.set(() => model.accepted = 'true');
+
+      expect(model.accepted).toBe(true);
+      expect(model.isValid()).toBe(true);
+    });
+  });
+
+  describe('leak detection', () => {
+
+    var model;
+    var component;
+
+    function detach() {
+      var node = document.getElementById('componentId');
+      node.parentNode.removeChild(node);
+    }
+
+    beforeEach(() => {
+      model = new Fronty.Model('leaky');
+      model.value = 'foo';
+      component = new Fronty.ModelComponent((m) => '<p>' + m.value + '</p>', model, 'componentId');
+      component.start();
+      spyOn(console, 'warn');
+    });
+
+    afterEach(() => {
+      Fronty.Model.disableLeakDetection();
+      component.stop();
+    });
+
+    it('should find observers of detached components', () => {
+      expect(model.findLeakedObservers()).toEqual([]);
+
+      detach();
+
+      expect(component.isDetached()).toBe(true);
+      expect(model.findLeakedObservers()).toEqual([{
+        observer: component.updater,
+        component: component
+      }]);
+    });
+
+    it('should find detached components whose id is reused', () => {
+      detach();
+      document.getElementById('fixture').insertAdjacentHTML('beforeend', '<div id="componentId"></div>');
+
+      expect(component.isDetached()).toBe(true);
+    });
+
+    it('should warn about leaks once', () => {
+      Fronty.Model.enableLeakDetection();
+
+      model.set(() => model.value = 'bar');
+      expect(console.warn).not.toHaveBeenCalled();
+
+      detach();
+      model.set(() => model.value = 'baz');
+      model.set(() => model.value = 'qux');
+
+      expect(console.warn.calls.count()).toBe(1);
+      expect(console.warn.calls.argsFor(0)[0]).toContain('leaky');
+      expect(console.warn.calls.argsFor(0)[0]).toContain('#componentId');
+      expect(model.observers.length).toBe(1);
+    });
+
+    it('should stop the components of leaked observers in auto-cleanup mode', () => {
+      Fronty.Model.enableLeakDetection({
+        autoCleanup: true
+      });
+
+      detach();
+      model.set(() => model.value = 'bar');
+
+      expect(model.observers.length).toBe(0);
+      expect(component.stopped).toBe(true);
+      expect(console.warn).not.toHaveBeenCalled();
+    });
+  });
+});
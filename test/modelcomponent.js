@@ -404,4 +404,502 @@ describe('ModelComponent', () => {
 
     expect(parent.getChildComponents().length).toBe(0);
   });
+
+  it('should skip renders if tracking reads and no read property changed', () => {
+    var model = new Fronty.Model();
+    model.title = 'foo';
+    model.unused = 'bar';
+    var renders = 0;
+
+    var component = new Fronty.ModelComponent((m) => {
+      renders++;
+      return '<p>' + m.title + '</p>';
+    }, model, 'componentId');
+    component.trackReads = true;
+    component.start();
+    expect(renders).toBe(1);
+
+    model.set(() => model.unused = 'baz');
+    expect(renders).toBe(1);
+
+    model.set(() => model.title = 'qux');
+    expect(renders).toBe(2);
+    expect(document.getElementById('componentId').textContent).toBe('qux');
+  });
+
+  it('should skip renders with several models if tracking reads', () => {
+    var model = new Fronty.Model();
+    model.title = 'foo';
+    var other = new Fronty.Model();
+    other.value = 'bar';
+    other.unused = 'baz';
+    var renders = 0;
+
+    var component = new Fronty.ModelComponent((m) => {
+      renders++;
+      return '<p>' + m.title + m.other.value + '</p>';
+    }, model, 'componentId');
+    component.addModel('other', other);
+    component.trackReads = true;
+    component.start();
+
+    other.set(() => other.unused = 'qux');
+    expect(renders).toBe(1);
+
+    other.set(() => other.value = 'qux');
+    expect(renders).toBe(2);
+    expect(document.getElementById('componentId').textContent).toBe('fooqux');
+  });
+
+  it('should track reads without observing paths of the model', () => {
+    var model = new Fronty.Model();
+    model.items = ['a'];
+    var renders = 0;
+
+    var component = new Fronty.ModelComponent((m) => {
+      renders++;
+      return '<p>' + m.items.join(',') + '</p>';
+    }, model, 'componentId');
+    component.start();
+    component.trackReads = true;
+    component.render();
+    expect(renders).toBe(2);
+
+    model.set(() => model.other = 'b');
+    expect(renders).toBe(2);
+
+    model.set(() => model.items.push('c'));
+    expect(renders).toBe(3);
+    expect(document.getElementById('componentId').textContent).toBe('a,c');
+    expect(model._observerPaths.size).toBe(0);
+  });
+
+  it('should render selected values only when they change', () => {
+    var model = new Fronty.Model();
+    model.cart = {items: ['apple']};
+    model.user = 'John';
+    var renders = 0;
+
+    var component = new Fronty.ModelComponent((selected) => {
+      renders++;
+      return '<p>' + selected.count + ' ' + selected.items.join(',') + '</p>';
+    }, model, 'componentId');
+    component.addSelector('count', (m) => m.cart.items.length);
+    component.addSelector('items', (m) => m.cart.items.slice());
+    component.start();
+    expect(renders).toBe(1);
+    expect(document.getElementById('componentId').textContent).toBe('1 apple');
+
+    model.set(() => model.user = 'Jane');
+    expect(renders).toBe(1);
+
+    model.set(() => model.cart.items.push('pear'));
+    expect(renders).toBe(2);
+    expect(document.getElementById('componentId').textContent).toBe('2 apple,pear');
+  });
+
+  it('should compare selected values with custom equality', () => {
+    var model = new Fronty.Model();
+    model.firstName = 'John';
+    var renders = 0;
+
+    var component = new Fronty.ModelComponent((selected) => {
+      renders++;
+      return '<p>' + selected.name + '</p>';
+    }, model, 'componentId');
+    component.addSelector('name', (m) => m.firstName, (a, b) => a.toLowerCase() === b.toLowerCase());
+    component.start();
+
+    model.set(() => model.firstName = 'JOHN');
+    expect(renders).toBe(1);
+    expect(document.getElementById('componentId').textContent).toBe('John');
+
+    var other = new Fronty.Model();
+    other.firstName = 'Jane';
+    component.setModel(other);
+    expect(renders).toBe(2);
+    expect(document.getElementById('componentId').textContent).toBe('Jane');
+  });
+
+  it('should batch the renders of several updates', (done) => {
+    var model = new Fronty.Model();
+    model.counter = 0;
+    var renders = 0;
+    var component = new Fronty.ModelComponent((m) => {
+      renders++;
+      return '<p>' + m.counter + '</p>';
+    }, model, 'componentId');
+    component.start();
+
+    Fronty.Component.setRenderMode(Fronty.Component.RENDER_MICROTASK);
+    [1, 2, 3, 4, 5].forEach(() => model.set(() => model.counter++));
+    expect(renders).toBe(1);
+    expect(component.isRenderScheduled()).toBe(true);
+
+    Fronty.nextRender().then(() => {
+      Fronty.Component.setRenderMode(Fronty.Component.RENDER_SYNC);
+      expect(renders).toBe(2);
+      expect(document.getElementById('componentId').textContent).toBe('5');
+      done();
+    });
+  });
+
+  it('should render parents before children, once', () => {
+    var model = new Fronty.Model();
+    model.value = 'foo';
+    var renders = [];
+    var parent = new Fronty.ModelComponent((m) => {
+      renders.push('parent');
+      return '<div><div id="child"></div></div>';
+    }, model, 'componentId');
+    var child = new Fronty.ModelComponent((m) => {
+      renders.push('child');
+      return '<p>' + m.value + '</p>';
+    }, model, 'child');
+    parent.addChildComponent(child);
+    parent.start();
+    renders = [];
+
+    Fronty.Component.setRenderMode(Fronty.Component.RENDER_MICROTASK);
+    try {
+      child.scheduleRender();
+      parent.scheduleRender();
+      child.scheduleRender();
+      Fronty.flush();
+    } finally {
+      Fronty.Component.setRenderMode(Fronty.Component.RENDER_SYNC);
+    }
+
+    expect(renders).toEqual(['parent', 'child']);
+  });
+
+  it('should render synchronously by default', () => {
+    var model = new Fronty.Model();
+    model.value = 'foo';
+    var component = new Fronty.ModelComponent((m) => '<p>' + m.value + '</p>', model, 'componentId');
+    component.start();
+
+    model.set(() => model.value = 'bar');
+    expect(document.getElementById('componentId').textContent).toBe('bar');
+    expect(component.isRenderScheduled()).toBe(false);
+  });
+
+  it('should report the errors of scheduled renders', (done) => {
+    var model = new Fronty.Model();
+    model.broken = false;
+    var component = new Fronty.ModelComponent((m) => {
+      if (m.broken) {
+        throw new Error('broken');
+      }
+      return '<p>ok</p>';
+    }, model, 'componentId');
+    component.start();
+    var errors = [];
+    var previous = Fronty.Model.onError((error) => {
+      errors.push(error.message);
+      throw error;
+    });
+    spyOn(console, 'error');
+
+    Fronty.Component.setRenderMode(Fronty.Component.RENDER_MICROTASK);
+    model.set(() => model.broken = true);
+    Fronty.nextRender().then(() => {
+      Fronty.Component.setRenderMode(Fronty.Component.RENDER_SYNC);
+      Fronty.Model.onError(previous);
+      expect(errors).toEqual(['broken']);
+      // the rethrown error is logged instead of being an unhandled rejection
+      expect(console.error).toHaveBeenCalledWith('Fronty: a scheduled render failed', jasmine.any(Error));
+      done();
+    });
+  });
+
+  it('should notify parents first and skip the children they rendered', () => {
+    var model = new Fronty.Model();
+    model.value = 'foo';
+    var renders = [];
+    class RefreshingComponent extends Fronty.ModelComponent {
+      createChildModelComponent(className, element, id) {
+        return new Fronty.ModelComponent((m) => {
+          renders.push('child');
+          return '<p>' + m.value + '</p>';
+        }, model, id);
+      }
+
+      updateChildComponent(className, element, id) {
+        this.getChildComponent(id).render();
+      }
+    }
+    var parent = new RefreshingComponent((m) => {
+      renders.push('parent');
+      return '<div><div id="child" fronty-component="ModelComponent" model="value"></div></div>';
+    }, model, 'componentId');
+    parent.start();
+    // from now on, the parent observes the model after its child
+    parent.setModel(model);
+    renders = [];
+
+    model.set(() => model.value = 'bar');
+    expect(renders).toEqual(['parent', 'child']);
+    expect(document.getElementById('child').textContent).toBe('bar');
+
+    renders = [];
+    Fronty.transaction(() => model.set(() => model.value = 'baz'));
+    expect(renders).toEqual(['parent', 'child']);
+  });
+
+  describe('with bound form elements', () => {
+    function fire(element, type) {
+      var event = document.createEvent('Event');
+      event.initEvent(type, true, false);
+      element.dispatchEvent(event);
+    }
+
+    function byId(id) {
+      return document.getElementById(id);
+    }
+
+    it('should bind text inputs and numbers with coercion', () => {
+      var model = new Fronty.Model();
+      model.user = {
+        name: 'John',
+        age: 30
+      };
+      var hints = [];
+      model.addObserver((model, hint) => hints.push(hint));
+      var component = new Fronty.ModelComponent((m) => '<div>' +
+        '<input id="name" type="text" fronty-bind="user.name">' +
+        '<input id="age" type="text" fronty-bind="user.age" fronty-bind-type="number">' +
+        '<span id="greeting">' + m.user.name + '</span></div>', model, 'componentId');
+      component.start();
+
+      expect(byId('name').value).toBe('John');
+      expect(byId('age').value).toBe('30');
+
+      byId('name').value = 'Jane';
+      fire(byId('name'), 'input');
+      byId('age').value = '31';
+      fire(byId('age'), 'input');
+
+      expect(model.user).toEqual({name: 'Jane', age: 31});
+      expect(hints).toEqual([{binding: 'user.name'}, {binding: 'user.age'}]);
+      expect(byId('greeting').textContent).toBe('Jane');
+
+      model.set(() => model.user.name = 'Joe');
+      expect(byId('name').value).toBe('Joe');
+      component.stop();
+    });
+
+    it('should bind checkboxes, radio groups and selects', () => {
+      var model = new Fronty.Model();
+      model.active = false;
+      model.tags = ['a'];
+      model.size = 2;
+      model.color = 'red';
+      model.flavors = [];
+      var component = new Fronty.ModelComponent(() => '<div>' +
+        '<input id="active" type="checkbox" fronty-bind="active">' +
+        '<input id="tag-a" type="checkbox" value="a" fronty-bind="tags">' +
+        '<input id="tag-b" type="checkbox" value="b" fronty-bind="tags">' +
+        '<input id="size-1" type="radio" name="size" value="1" fronty-bind="size" fronty-bind-type="number">' +
+        '<input id="size-2" type="radio" name="size" value="2" fronty-bind="size" fronty-bind-type="number">' +
+        '<select id="color" fronty-bind="color"><option value="red">Red</option>' +
+        '<option value="blue">Blue</option></select>' +
+        '<select id="flavors" multiple fronty-bind="flavors"><option value="lemon">Lemon</option>' +
+        '<option value="mint">Mint</option></select></div>', model, 'componentId');
+      component.start();
+
+      expect(byId('active').checked).toBe(false);
+      expect(byId('tag-a').checked).toBe(true);
+      expect(byId('tag-b').checked).toBe(false);
+      expect(byId('size-2').checked).toBe(true);
+      expect(byId('color').value).toBe('red');
+
+      byId('active').checked = true;
+      fire(byId('active'), 'change');
+      byId('tag-a').checked = false;
+      fire(byId('tag-a'), 'change');
+      byId('tag-b').checked = true;
+      fire(byId('tag-b'), 'change');
+      byId('size-1').checked = true;
+      fire(byId('size-1'), 'change');
+      byId('color').value = 'blue';
+      fire(byId('color'), 'change');
+      byId('flavors').options[1].selected = true;
+      fire(byId('flavors'), 'change');
+
+      expect(model.active).toBe(true);
+      expect(model.tags).toEqual(['b']);
+      expect(model.size).toBe(1);
+      expect(model.color).toBe('blue');
+      expect(model.flavors).toEqual(['mint']);
+
+      model.set(() => model.flavors = ['lemon', 'mint']);
+      expect(byId('flavors').options[0].selected).toBe(true);
+      component.stop();
+    });
+
+    it('should coerce values to the type of the element, skipping unparseable ones', () => {
+      var model = new Fronty.Model();
+      model.count = 1;
+      model.amount = 1;
+      model.ids = [];
+      var component = new Fronty.ModelComponent(() => '<div>' +
+        '<input id="count" type="number" fronty-bind="count">' +
+        '<input id="amount" type="text" fronty-bind="amount" fronty-bind-type="number">' +
+        '<input id="id-1" type="checkbox" value="1" fronty-bind="ids" fronty-bind-type="number"></div>',
+        model, 'componentId');
+      component.start();
+
+      byId('count').value = '';
+      fire(byId('count'), 'input');
+      expect(model.count).toBe(null);
+      byId('count').value = '5';
+      fire(byId('count'), 'input');
+      expect(model.count).toBe(5);
+
+      byId('amount').value = '1e';
+      fire(byId('amount'), 'input');
+      expect(model.amount).toBe(1);
+      byId('amount').value = '1e3';
+      fire(byId('amount'), 'input');
+      expect(model.amount).toBe(1000);
+
+      byId('id-1').checked = true;
+      fire(byId('id-1'), 'change');
+      expect(model.ids).toEqual([1]);
+      component.stop();
+    });
+
+    it('should write lazy bindings on change and debounced bindings later', () => {
+      jasmine.clock().install();
+      try {
+        var model = new Fronty.Model();
+        model.title = '';
+        model.query = '';
+        var component = new Fronty.ModelComponent(() => '<div>' +
+          '<input id="title" type="text" fronty-bind="title" fronty-bind-lazy>' +
+          '<input id="query" type="text" fronty-bind="query" fronty-bind-debounce="100"></div>',
+          model, 'componentId');
+        component.start();
+
+        byId('title').value = 'Hello';
+        fire(byId('title'), 'input');
+        expect(model.title).toBe('');
+        fire(byId('title'), 'change');
+        expect(model.title).toBe('Hello');
+
+        byId('query').value = 'fr';
+        fire(byId('query'), 'input');
+        jasmine.clock().tick(50);
+        byId('query').value = 'fronty';
+        fire(byId('query'), 'input');
+        jasmine.clock().tick(50);
+        expect(model.query).toBe('');
+        jasmine.clock().tick(50);
+        expect(model.query).toBe('fronty');
+        component.stop();
+      } finally {
+        jasmine.clock().uninstall();
+      }
+    });
+
+    it('should discard debounced writes when stopped', () => {
+      jasmine.clock().install();
+      try {
+        var model = new Fronty.Model();
+        model.query = '';
+        var component = new Fronty.ModelComponent(() => '<div>' +
+          '<input id="query" type="text" fronty-bind="query" fronty-bind-debounce="100"></div>', model, 'componentId');
+        component.start();
+
+        byId('query').value = 'fronty';
+        fire(byId('query'), 'input');
+        component.stop();
+        jasmine.clock().tick(150);
+
+        expect(model.query).toBe('');
+      } finally {
+        jasmine.clock().uninstall();
+      }
+    });
+
+    it('should only listen to input events if there are bound elements', () => {
+      var model = new Fronty.Model();
+      model.bound = false;
+      model.value = 'foo';
+      var component = new Fronty.ModelComponent((m) => '<div>' +
+        (m.bound ? '<input id="value" type="text" fronty-bind="value">' : '') + '</div>', model, 'componentId');
+      spyOn(EventTarget.prototype, 'addEventListener').and.callThrough();
+      var inputListeners = () => EventTarget.prototype.addEventListener.calls.allArgs().filter(
+        (args) => args[0] === 'input').length;
+
+      component.start();
+      expect(inputListeners()).toBe(0);
+
+      model.set(() => model.bound = true);
+      model.set(() => model.value = 'bar');
+      expect(inputListeners()).toBe(1);
+
+      byId('value').value = 'baz';
+      fire(byId('value'), 'input');
+      expect(model.value).toBe('baz');
+      component.stop();
+    });
+
+    it('should bind the elements of fragments', () => {
+      var model = new Fronty.Model();
+      model.first = 'John';
+      model.last = 'Doe';
+      var component = new Fronty.ModelComponent(() =>
+        '<input id="first" type="text" fronty-bind="first"><input id="last" type="text" fronty-bind="last">',
+        model, 'componentId');
+      component.start();
+
+      expect(byId('last').value).toBe('Doe');
+      byId('last').value = 'Smith';
+      fire(byId('last'), 'input');
+
+      expect(model.last).toBe('Smith');
+      component.stop();
+    });
+
+    it('should bind the elements projected into the slots of children to the parent', () => {
+      var model = new Fronty.Model();
+      model.title = 'parent';
+      var cardModel = new Fronty.Model();
+      cardModel.title = 'card';
+      var component = new Fronty.ModelComponent(() => '<div><div fronty-component="Card" id="card">' +
+        '<input id="title" type="text" fronty-bind="title"></div></div>', model, 'componentId');
+      component.createChildComponent = (className, element, id) =>
+        new Fronty.ModelComponent(() => '<div><fronty-slot></fronty-slot></div>', cardModel, id);
+      component.updateChildComponent = () => {};
+      component.start();
+
+      expect(byId('title').value).toBe('parent');
+      byId('title').value = 'changed';
+      fire(byId('title'), 'input');
+
+      expect(model.title).toBe('changed');
+      expect(cardModel.title).toBe('card');
+      expect(byId('title').value).toBe('changed');
+      component.stop();
+    });
+
+    it('should write bindings to secondary models', () => {
+      var model = new Fronty.Model();
+      model.value = 'foo';
+      var settings = new Fronty.Model();
+      settings.theme = 'light';
+      var component = new Fronty.ModelComponent(() => '<div>' +
+        '<input id="theme" type="text" fronty-bind="settings.theme"></div>', model, 'componentId');
+      component.addModel('settings', settings);
+      component.start();
+
+      byId('theme').value = 'dark';
+      fire(byId('theme'), 'input');
+
+      expect(settings.theme).toBe('dark');
+      component.stop();
+    });
+  });
 });
@@ -0,0 +1,206 @@
+class ModelListItemComponent extends Fronty.ModelComponent {
+  constructor(id, item) {
+    super((item) => '<li>' + item.description + '</li>', item, id);
+  }
+}
+
+describe('ModelList', () => {
+
+  function applyAll(array, hint) {
+    var copy = array.slice();
+    hint.listChanges.forEach((change) => Fronty.ModelList.applyChange(copy, change));
+    return copy;
+  }
+
+  it('should notify typed changes', () => {
+    var list = new Fronty.ModelList('list', ['a', 'b']);
+    var hints = [];
+    list.addObserver((model, hint) => hints.push(hint));
+
+    list.add('c');
+    list.add('z', 0);
+    list.removeAt(1);
+    list.move(0, 2);
+    list.replace(0, 'B');
+
+    expect(list.items).toEqual(['B', 'c', 'z']);
+    expect(hints.map((hint) => hint.listChanges[0])).toEqual([
+      {type: 'insert', index: 2, item: 'c'},
+      {type: 'insert', index: 0, item: 'z'},
+      {type: 'remove', index: 1, item: 'a'},
+      {type: 'move', from: 0, to: 2, item: 'z'},
+      {type: 'replace', index: 0, item: 'B', oldItem: 'b'}
+    ]);
+  });
+
+  it('should remove items by reference', () => {
+    var item = {id: 1};
+    var list = new Fronty.ModelList('list', [{id: 0}, item]);
+
+    expect(list.remove(item)).toBe(true);
+    expect(list.remove(item)).toBe(false);
+    expect(list.items.length).toBe(1);
+  });
+
+  it('should notify sort and filter as moves and removals', () => {
+    var initial = [3, 1, 4, 1, 5, 9, 2, 6];
+    var list = new Fronty.ModelList('list', initial);
+    var hints = [];
+    list.addObserver((model, hint) => hints.push(hint));
+
+    list.sort((a, b) => a - b);
+    expect(list.items).toEqual([1, 1, 2, 3, 4, 5, 6, 9]);
+    expect(hints[0].listChanges.every((change) => change.type === 'move')).toBe(true);
+    expect(applyAll(initial, hints[0])).toEqual(list.items);
+
+    var sorted = list.items.slice();
+    list.filter((item) => item % 2 === 0);
+    expect(list.items).toEqual([2, 4, 6]);
+    expect(hints[1].listChanges.every((change) => change.type === 'remove')).toBe(true);
+    expect(applyAll(sorted, hints[1])).toEqual(list.items);
+  });
+
+  it('should sort lists containing NaN', () => {
+    var initial = ['b', NaN, 'a'];
+    var list = new Fronty.ModelList('list', initial);
+    var hints = [];
+    list.addObserver((model, hint) => hints.push(hint));
+
+    list.sort();
+
+    expect(list.items).toEqual([NaN, 'a', 'b']);
+    expect(hints[0].listChanges.every((change) => change.from >= 0)).toBe(true);
+    expect(applyAll(initial, hints[0])).toEqual(list.items);
+  });
+
+  it('should reject positions out of the list', () => {
+    var list = new Fronty.ModelList('list', ['a']);
+    var hints = [];
+    list.addObserver((model, hint) => hints.push(hint));
+
+    expect(() => list.removeAt(5)).toThrowError('ModelList [list]: index out of range 5');
+    expect(() => list.move(0, 1)).toThrowError('ModelList [list]: index out of range 1');
+    expect(() => list.replace(-1, 'b')).toThrowError('ModelList [list]: index out of range -1');
+    expect(hints).toEqual([]);
+
+    list.add('z', 10);
+    list.add('0', -3);
+
+    expect(list.items).toEqual(['0', 'a', 'z']);
+    expect(hints.map((hint) => hint.listChanges[0].index)).toEqual([1, 0]);
+  });
+
+  it('should not notify if nothing changes', () => {
+    var list = new Fronty.ModelList('list', [1, 2]);
+    var notifications = 0;
+    list.addObserver(() => notifications++);
+
+    list.sort();
+    list.filter(() => true);
+    list.move(1, 1);
+
+    expect(notifications).toBe(0);
+  });
+});
+
+describe('ModelListComponent', () => {
+  beforeEach(() => {
+    var fixture = '<div id="fixture"><div id="componentId"></div></div>';
+
+    document.body.insertAdjacentHTML(
+      'afterbegin',
+      fixture);
+  });
+
+  // remove the html fixture from the DOM
+  afterEach(function() {
+    document.body.removeChild(document.getElementById('fixture'));
+  });
+
+  function texts() {
+    return Array.prototype.map.call(
+      document.getElementById('componentId').children, (node) => node.textContent);
+  }
+
+  it('should render the items in a container', () => {
+    var list = new Fronty.ModelList('list', ['a', 'b']);
+    var component = new Fronty.ModelListComponent(
+      (item) => '<li>' + item + '</li>', list, 'componentId', (rows) => '<ul class="list">' + rows + '</ul>');
+
+    component.start();
+
+    expect(document.getElementById('componentId').tagName).toBe('UL');
+    expect(document.getElementById('componentId').className).toBe('list');
+    expect(texts()).toEqual(['a', 'b']);
+  });
+
+  it('should only render the affected rows', () => {
+    var list = new Fronty.ModelList('list', ['a', 'b', 'c']);
+    var rendered = [];
+    var component = new Fronty.ModelListComponent((item) => {
+      rendered.push(item);
+      return '<li>' + item + '</li>';
+    }, list, 'componentId');
+    component.start();
+    rendered = [];
+
+    var nodes = Array.prototype.slice.call(document.getElementById('componentId').children);
+
+    list.add('d', 1);
+    expect(rendered).toEqual(['d']);
+    expect(texts()).toEqual(['a', 'd', 'b', 'c']);
+
+    list.move(0, 3);
+    list.removeAt(1);
+    expect(texts()).toEqual(['d', 'c', 'a']);
+    expect(document.getElementById('componentId').children[2]).toBe(nodes[0]);
+    expect(document.getElementById('componentId').children[1]).toBe(nodes[2]);
+
+    list.replace(0, 'e');
+    list.sort();
+    expect(rendered).toEqual(['d', 'e']);
+    expect(texts()).toEqual(['a', 'c', 'e']);
+
+    // a regular render keeps the same result
+    component.render();
+    expect(texts()).toEqual(['a', 'c', 'e']);
+  });
+
+  it('should render regularly on other changes', () => {
+    var list = new Fronty.ModelList('list', ['a']);
+    var component = new Fronty.ModelListComponent((item) => '<p>' + item + '</p>', list, 'componentId');
+    component.start();
+
+    list.set(() => list.items.push('b'));
+
+    expect(texts()).toEqual(['a', 'b']);
+  });
+
+  it('should pass row items to child components', () => {
+    var first = new Fronty.Model('first');
+    first.id = 1;
+    first.description = 'first';
+    var second = new Fronty.Model('second');
+    second.id = 2;
+    second.description = 'second';
+    var list = new Fronty.ModelList('list', [first]);
+    var component = new Fronty.ModelListComponent(
+      (item) => '<li fronty-component="ModelListItemComponent" id="item-' + item.id + '"></li>',
+      list, 'componentId', (rows) => '<ul>' + rows + '</ul>');
+    component.start();
+
+    expect(texts()).toEqual(['first']);
+
+    list.add(second, 0);
+    expect(texts()).toEqual(['second', 'first']);
+    expect(component.getChildComponent('item-1').modelItemFromAttribute).toBe(first);
+    expect(component.getChildComponent('item-2').modelItemFromAttribute).toBe(second);
+
+    list.move(1, 0);
+    expect(texts()).toEqual(['first', 'second']);
+
+    list.remove(first);
+    expect(texts()).toEqual(['second']);
+    expect(component.getChildComponents().length).toBe(1);
+  });
+});
@@ -0,0 +1,180 @@
+describe('ModelPersistence', () => {
+
+  var storage;
+
+  beforeEach(() => {
+    storage = new Fronty.MemoryStorage();
+  });
+
+  function stored(key) {
+    return JSON.parse(storage.getItem(key));
+  }
+
+  it('should save the chosen properties after each change', () => {
+    var model = new Fronty.Model('settings');
+    model.theme = 'light';
+    model.transient = 'x';
+    new Fronty.ModelPersistence(model, {
+      key: 'settings',
+      properties: ['theme'],
+      storage: storage
+    });
+
+    model.set(() => model.theme = 'dark');
+
+    expect(stored('settings')).toEqual({
+      version: 1,
+      data: {
+        theme: 'dark'
+      }
+    });
+  });
+
+  it('should restore the stored properties on construction', () => {
+    storage.setItem('settings', JSON.stringify({version: 1, data: {theme: 'dark', other: 1}}));
+    var model = new Fronty.Model('settings');
+    model.theme = 'light';
+
+    var persistence = new Fronty.ModelPersistence(model, {
+      key: 'settings',
+      properties: ['theme'],
+      storage: storage
+    });
+
+    expect(model.theme).toBe('dark');
+    expect(model.other).toBeUndefined();
+    expect(persistence.restore()).toBe(true);
+  });
+
+  it('should send the patches of restored data', () => {
+    var model = new Fronty.Model('settings');
+    model.theme = 'light';
+    var persistence = new Fronty.ModelPersistence(model, {
+      key: 'settings',
+      properties: ['theme'],
+      storage: storage
+    });
+    var patches = [];
+    model.addPatchListener((patch, model, hint) => patches.push({patch: patch, hint: hint}));
+    storage.setItem('settings', JSON.stringify({version: 1, data: {theme: 'dark'}}));
+
+    persistence.restore();
+
+    expect(patches).toEqual([{
+      patch: [{op: 'replace', path: '/theme', value: 'dark'}],
+      hint: {persistence: 'restore'}
+    }]);
+  });
+
+  it('should upgrade old data with migrations', () => {
+    storage.setItem('settings', JSON.stringify({version: 1, data: {dark: true}}));
+    var model = new Fronty.Model('settings');
+
+    new Fronty.ModelPersistence(model, {
+      key: 'settings',
+      storage: storage,
+      version: 3,
+      migrations: {
+        2: (data) => ({theme: data.dark ? 'dark' : 'light'}),
+        3: (data) => {
+          data.language = 'en';
+          return data;
+        }
+      }
+    });
+
+    expect(model.theme).toBe('dark');
+    expect(model.language).toBe('en');
+  });
+
+  it('should ignore invalid or newer data', () => {
+    var model = new Fronty.Model('settings');
+    model.theme = 'light';
+
+    storage.setItem('settings', '{corrupted');
+    var persistence = new Fronty.ModelPersistence(model, {
+      key: 'settings',
+      storage: storage,
+      version: 2
+    });
+    expect(model.theme).toBe('light');
+
+    storage.setItem('settings', JSON.stringify({version: 3, data: {theme: 'dark'}}));
+    expect(persistence.restore()).toBe(false);
+    expect(model.theme).toBe('light');
+  });
+
+  it('should ignore data whose migration fails', () => {
+    storage.setItem('settings', JSON.stringify({version: 1, data: {dark: true}}));
+    var model = new Fronty.Model('settings');
+    model.theme = 'light';
+
+    var persistence = new Fronty.ModelPersistence(model, {
+      key: 'settings',
+      storage: storage,
+      version: 2,
+      migrations: {
+        2: () => {
+          throw new Error('broken migration');
+        }
+      }
+    });
+
+    expect(model.theme).toBe('light');
+    expect(persistence.restore()).toBe(false);
+  });
+
+  it('should debounce saves', () => {
+    jasmine.clock().install();
+    try {
+      var model = new Fronty.Model('counter');
+      model.counter = 0;
+      var persistence = new Fronty.ModelPersistence(model, {
+        key: 'counter',
+        storage: storage,
+        debounce: 100
+      });
+
+      model.set(() => model.counter++);
+      jasmine.clock().tick(50);
+      model.set(() => model.counter++);
+      jasmine.clock().tick(50);
+      expect(storage.getItem('counter')).toBeNull();
+
+      jasmine.clock().tick(50);
+      expect(stored('counter').data).toEqual({counter: 2});
+
+      model.set(() => model.counter++);
+      persistence.stop();
+      expect(stored('counter').data).toEqual({counter: 3});
+
+      model.set(() => model.counter++);
+      jasmine.clock().tick(200);
+      expect(stored('counter').data).toEqual({counter: 3});
+    } finally {
+      jasmine.clock().uninstall();
+    }
+  });
+
+  it('should use custom serialization', () => {
+    var model = new Fronty.Model('user');
+    model.birth = new Date(2000, 0, 1);
+    new Fronty.ModelPersistence(model, {
+      key: 'user',
+      storage: storage,
+      serialize: (model) => ({birth: model.birth.getTime()}),
+      deserialize: (model, data) => model.birth = new Date(data.birth)
+    });
+    model.set(() => model.birth = new Date(2001, 0, 1));
+
+    var restored = new Fronty.Model('user');
+    new Fronty.ModelPersistence(restored, {
+      key: 'user',
+      storage: storage,
+      serialize: (model) => ({birth: model.birth.getTime()}),
+      deserialize: (model, data) => model.birth = new Date(data.birth)
+    });
+
+    expect(restored.birth.getFullYear()).toBe(2001);
+  });
+});
@@ -0,0 +1,226 @@
+describe('ModelSync', () => {
+
+  // a channel delivering messages synchronously to the other channels of the
+  // same hub, like BroadcastChannel does among pages
+  class TestChannel {
+    constructor(hub) {
+      this.hub = hub;
+      this.listeners = [];
+      this.sent = [];
+      hub.push(this);
+    }
+
+    postMessage(message) {
+      this.sent.push(message);
+      this.hub.filter((channel) => channel !== this).forEach(
+        (channel) => channel.listeners.forEach((listener) => {
+          var deliver = () => listener({
+            data: message
+          });
+          // hubs with a queue deliver the messages later, when the test runs them
+          if (this.hub.queue) {
+            this.hub.queue.push(deliver);
+          } else {
+            deliver();
+          }
+        }));
+    }
+
+    addEventListener(type, listener) {
+      this.listeners.push(listener);
+    }
+
+    removeEventListener(type, listener) {
+      this.listeners.splice(this.listeners.indexOf(listener), 1);
+    }
+  }
+
+  var hub;
+
+  beforeEach(() => {
+    hub = [];
+  });
+
+  function createCart(options) {
+    var cart = new Fronty.Model('cart');
+    cart.items = [];
+    var sync = new Fronty.ModelSync(cart, Object.assign({
+      key: 'cart',
+      properties: ['items'],
+      channel: new TestChannel(hub)
+    }, options));
+    return {
+      cart: cart,
+      sync: sync
+    };
+  }
+
+  it('should apply the changes made in other pages', () => {
+    var first = createCart();
+    var second = createCart();
+    var hints = [];
+    second.cart.addObserver((model, hint) => hints.push(hint));
+
+    first.cart.set(() => first.cart.items.push('apple'));
+
+    expect(second.cart.items).toEqual(['apple']);
+    expect(hints).toEqual([{sync: 'remote'}]);
+    // received changes are not sent back
+    expect(second.sync.channel.sent.length).toBe(0);
+  });
+
+  it('should not send back changes to reactive models', (done) => {
+    var first = createCart();
+    var cart = new Fronty.ReactiveModel('cart');
+    cart.items = [];
+    var notifications = 0;
+    cart.addObserver(() => notifications++);
+    var channel = new TestChannel(hub);
+    new Fronty.ModelSync(cart, {
+      key: 'cart',
+      channel: channel
+    });
+
+    first.cart.set(() => first.cart.items.push('apple'));
+
+    Promise.resolve().then(() => {
+      expect(cart.items).toEqual(['apple']);
+      expect(notifications).toBe(1);
+      expect(channel.sent.length).toBe(0);
+      done();
+    });
+  });
+
+  it('should send the patches of the changes made in other pages', () => {
+    var first = createCart();
+    var second = createCart();
+    var patches = [];
+    second.cart.addPatchListener((patch, model, hint) => patches.push({patch: patch, hint: hint}));
+
+    first.cart.set(() => first.cart.items.push('apple'));
+
+    expect(patches).toEqual([{
+      patch: [{op: 'add', path: '/items/0', value: 'apple'}],
+      hint: {sync: 'remote'}
+    }]);
+  });
+
+  it('should keep the last change by default', () => {
+    var first = createCart();
+    var second = createCart();
+    first.cart.set(() => first.cart.items.push('apple'));
+    second.cart.set(() => second.cart.items.push('pear'));
+    expect(first.cart.items).toEqual(['apple', 'pear']);
+
+    // a delayed message, sent before the last change
+    second.sync.channel.listeners[0]({
+      data: JSON.stringify({
+        timestamp: 0,
+        sender: 'other',
+        data: {
+          items: []
+        }
+      })
+    });
+
+    expect(second.cart.items).toEqual(['apple', 'pear']);
+  });
+
+  it('should merge conflicting changes with a custom policy', () => {
+    var cart = createCart({
+      conflict: (local, remote) => ({
+        items: local.items.concat(remote.items.filter((item) => local.items.indexOf(item) === -1))
+      })
+    });
+    cart.cart.set(() => cart.cart.items.push('apple'));
+
+    cart.sync.channel.listeners[0]({
+      data: JSON.stringify({
+        timestamp: 0,
+        sender: 'other',
+        data: {
+          items: ['pear']
+        }
+      })
+    });
+
+    expect(cart.cart.items).toEqual(['apple', 'pear']);
+  });
+
+  it('should converge when several pages change at the same time', () => {
+    var merge = (local, remote) => ({
+      items: local.items.concat(remote.items.filter((item) => local.items.indexOf(item) === -1))
+    });
+    var first = createCart({
+      conflict: merge
+    });
+    var second = createCart({
+      conflict: merge
+    });
+    hub.queue = [];
+
+    // both changes are sent before receiving the other one
+    first.cart.set(() => first.cart.items.push('x'));
+    second.cart.set(() => second.cart.items.push('y'));
+    while (hub.queue.length > 0) {
+      hub.queue.shift()();
+    }
+
+    expect(first.cart.items.slice().sort()).toEqual(['x', 'y']);
+    expect(second.cart.items).toEqual(first.cart.items);
+  });
+
+  it('should ignore malformed messages', () => {
+    var cart = createCart({
+      properties: null
+    });
+    var channel = new TestChannel(hub);
+    var notifications = 0;
+    cart.cart.addObserver(() => notifications++);
+    var observers = cart.cart.observers;
+
+    [
+      'not json',
+      {data: ['apple'], timestamp: 1, sender: 'other'},
+      {data: 'apple', timestamp: 1, sender: 'other'},
+      {data: {items: ['apple']}, sender: 'other'},
+      {data: {items: ['apple']}, timestamp: 1}
+    ].forEach((message) => channel.postMessage(message));
+
+    expect(cart.cart.items).toEqual([]);
+    expect(notifications).toBe(0);
+
+    channel.postMessage({data: {items: ['apple'], observers: []}, timestamp: 1, sender: 'other'});
+
+    expect(cart.cart.items).toEqual(['apple']);
+    expect(cart.cart.observers).toBe(observers);
+  });
+
+  it('should stop synchronizing', () => {
+    var first = createCart();
+    var second = createCart();
+    second.sync.stop();
+
+    first.cart.set(() => first.cart.items.push('apple'));
+    second.cart.set(() => second.cart.items.push('pear'));
+
+    expect(first.cart.items).toEqual(['apple']);
+    expect(second.cart.items).toEqual(['pear']);
+  });
+
+  it('should receive messages from storage events', () => {
+    var channel = new Fronty.ModelSync.StorageChannel('cart');
+    var received = [];
+    channel.addEventListener('message', (event) => received.push(event.data));
+
+    var event = document.createEvent('Event');
+    event.initEvent('storage', false, false);
+    event.key = 'fronty-sync:cart';
+    event.newValue = '{}';
+    window.dispatchEvent(event);
+    channel.close();
+    window.dispatchEvent(event);
+
+    expect(received).toEqual(['{}']);
+  });
+});
@@ -0,0 +1,169 @@
+describe('Store', () => {
+
+  function todos(state, action) {
+    state = state !== undefined ? state : [];
+    switch (action.type) {
+      case 'add':
+        return state.concat(action.todo);
+      case 'clear':
+        return [];
+      default:
+        return state;
+    }
+  }
+
+  function filter(state, action) {
+    state = state !== undefined ? state : 'all';
+    return action.type === 'set' ? action.value : state;
+  }
+
+  it('should compute the initial state with the reducers', () => {
+    var store = new Fronty.Store({
+      todos: todos,
+      view: {
+        filter: filter
+      }
+    });
+
+    expect(store.todos).toEqual([]);
+    expect(store.view).toEqual({filter: 'all'});
+    expect(store.getState()).toEqual({todos: [], view: {filter: 'all'}});
+  });
+
+  it('should reduce dispatched actions and notify observers', () => {
+    var store = new Fronty.Store({
+      todos: todos
+    }, {
+      initialState: {
+        todos: ['breakfast']
+      }
+    });
+    var hints = [];
+    store.addObserver((model, hint) => hints.push(hint));
+
+    var action = {type: 'add', todo: 'lunch'};
+    store.dispatch(action);
+    store.dispatch({type: 'unknown'});
+
+    expect(store.todos).toEqual(['breakfast', 'lunch']);
+    expect(hints).toEqual([{action: action}]);
+  });
+
+  it('should only pass namespaced actions to namespaced reducers', () => {
+    var store = new Fronty.Store({
+      todos: todos,
+      filter: Fronty.Store.namespace('filter', filter)
+    });
+
+    store.dispatch({type: 'set', value: 'ignored'});
+    expect(store.filter).toBe('all');
+
+    store.dispatch({type: 'filter/set', value: 'done'});
+    expect(store.filter).toBe('done');
+  });
+
+  it('should reject invalid actions', () => {
+    var store = new Fronty.Store(todos);
+
+    expect(() => store.dispatch('add')).toThrowError(/plain objects/);
+    expect(() => store.dispatch({todo: 'lunch'})).toThrowError(/plain objects/);
+    expect(() => store.dispatch(() => {})).toThrowError(/plain objects/);
+  });
+
+  it('should reject invalid states', () => {
+    expect(() => new Fronty.Store((state = {log: []}) => state)).toThrowError(/log is reserved/);
+    expect(() => new Fronty.Store({name: (name = 'John') => name})).toThrowError(/name is reserved/);
+
+    var store = new Fronty.Store((state, action) => {
+      state = state !== undefined ? state : {items: []};
+      switch (action.type) {
+        case 'clear':
+          return null;
+        case 'observe':
+          return {items: state.items, observers: []};
+        default:
+          return state;
+      }
+    });
+
+    expect(() => store.dispatch({type: 'clear'})).toThrowError(/must be an object/);
+    expect(() => store.dispatch({type: 'observe'})).toThrowError(/observers is reserved/);
+    expect(store.items).toEqual([]);
+    expect(store.observers).toEqual([]);
+    expect(store.log).toEqual([]);
+  });
+
+  it('should apply middlewares in order', () => {
+    var calls = [];
+    var logger = (name) => (store) => (next) => (action) => {
+      calls.push(name + ' ' + action.type);
+      return next(action);
+    };
+    var store = new Fronty.Store({
+      todos: todos
+    }, {
+      middlewares: [logger('first'), logger('second')]
+    });
+
+    store.dispatch({type: 'add', todo: 'lunch'});
+
+    expect(calls).toEqual(['first add', 'second add']);
+    expect(store.todos).toEqual(['lunch']);
+  });
+
+  it('should dispatch asynchronous thunks', (done) => {
+    var store = new Fronty.Store({
+      todos: todos
+    }, {
+      middlewares: [Fronty.Store.thunk]
+    });
+
+    store.dispatch((dispatch, getState) => Promise.resolve('dinner').then((todo) => {
+      dispatch({type: 'add', todo: todo});
+      return getState().todos.length;
+    })).then((length) => {
+      expect(length).toBe(1);
+      expect(store.todos).toEqual(['dinner']);
+      expect(store.log).toEqual([{type: 'add', todo: 'dinner'}]);
+      done();
+    });
+  });
+
+  it('should replay the dispatched actions', () => {
+    var store = new Fronty.Store({
+      todos: todos,
+      filter: filter
+    });
+    store.dispatch({type: 'add', todo: 'lunch'});
+    store.dispatch({type: 'set', value: 'done'});
+    store.dispatch({type: 'add', todo: 'dinner'});
+    var log = store.log.slice();
+    store.dispatch({type: 'clear'});
+    var hints = [];
+    store.addObserver((model, hint) => hints.push(hint));
+
+    store.replay(log);
+
+    expect(store.todos).toEqual(['lunch', 'dinner']);
+    expect(store.filter).toBe('done');
+    expect(store.log).toEqual(log);
+    expect(hints.length).toBe(1);
+  });
+
+  it('should be rendered by model components', () => {
+    document.body.insertAdjacentHTML('afterbegin', '<div id="fixture"><div id="componentId"></div></div>');
+    var store = new Fronty.Store({
+      todos: todos
+    });
+    var component = new Fronty.ModelComponent((store) => '<p>' + store.todos.join(',') + '</p>',
+      store, 'componentId');
+    component.start();
+
+    store.dispatch({type: 'add', todo: 'lunch'});
+    var text = document.getElementById('componentId').textContent;
+    component.stop();
+    document.body.removeChild(document.getElementById('fixture'));
+
+    expect(text).toBe('lunch');
+  });
+});